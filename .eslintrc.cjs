@@ -10,4 +10,8 @@ module.exports = {
   globals: {
     shopify: "readonly"
   },
+  // Tests run on Vitest, whose API matches Jest's; the jest rules need a version to check against.
+  settings: {
+    jest: { version: 29 },
+  },
 };
@@ -0,0 +1,49 @@
+// --- Render job status shared by the Collections page and the admin-link render page ---
+import { useEffect } from "react";
+import { Badge, ProgressBar, Text } from "@shopify/polaris";
+
+// How often a page polls job status while a render is queued or running.
+export const JOB_POLL_INTERVAL = 2000;
+export const ACTIVE_JOB_STATUSES = ["queued", "running"];
+
+export const RENDER_STATE_BADGES = {
+  fresh: <Badge tone="success">Up to date</Badge>,
+  stale: <Badge tone="warning">Stale</Badge>,
+  never: <Badge>Never rendered</Badge>,
+};
+
+export function isActiveJob(job) {
+  return Boolean(job) && ACTIVE_JOB_STATUSES.includes(job.status);
+}
+
+// --- Progress of a queued or running job: a bar and "Queued" or "processed / total" ---
+export function JobProgress({ job }) {
+  const progress = job.total ? Math.round((job.processed / job.total) * 100) : 0;
+  return (
+    <>
+      <ProgressBar progress={progress} size="small" />
+      <Text as="span" variant="bodySm" tone="subdued">
+        {job.status === "queued" ? "Queued" : `${job.processed} / ${job.total}`}
+      </Text>
+    </>
+  );
+}
+
+/**
+ * Poll the job-status route for `collections` through `statusFetcher` while any of `jobs` is
+ * queued or running. Callers merge `statusFetcher.data.jobs` themselves. Returns whether a job is
+ * active.
+ */
+export function useJobPolling({ statusFetcher, jobs, collections }) {
+  const hasActiveJobs = Object.values(jobs).some(isActiveJob);
+  useEffect(() => {
+    if (!hasActiveJobs || statusFetcher.state !== "idle") return;
+    const timer = setTimeout(() => {
+      const params = new URLSearchParams();
+      collections.forEach((col) => params.append("collectionId", col.id));
+      statusFetcher.load(`/app/jobs?${params.toString()}`);
+    }, JOB_POLL_INTERVAL);
+    return () => clearTimeout(timer);
+  }, [hasActiveJobs, statusFetcher, collections]);
+  return hasActiveJobs;
+}
@@ -4,9 +4,15 @@ import { RemixServer } from "@remix-run/react";
 import { createReadableStreamFromReadable } from "@remix-run/node";
 import { isbot } from "isbot";
 import { addDocumentResponseHeaders } from "./shopify.server";
+import { startRenderWorker } from "./utils/render-jobs.server";
+import { startRenderScheduler } from "./utils/schedules.server";
 
 export const streamTimeout = 5000;
 
+// Background render jobs and render schedules are processed in this process, alongside the web server.
+startRenderWorker();
+startRenderScheduler();
+
 export default async function handleRequest(
   request,
   responseStatusCode,
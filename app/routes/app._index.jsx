@@ -5,192 +5,211 @@ import {
   Page,
   Badge,
   LegacyCard,
-  DataTable,
+  IndexTable,
+  useIndexResourceState,
   Button,
+  Collapsible,
   Toast,
   Pagination,
+  BlockStack,
+  InlineStack,
+  Select,
+  Text,
+  TextField,
 } from "@shopify/polaris";
 import enTranslations from "@shopify/polaris/locales/en.json";
 import { Links, Meta, ScrollRestoration, Scripts, useLoaderData, useFetcher, useNavigate } from "@remix-run/react";
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef, useCallback } from "react";
 import { authenticate } from "../shopify.server";
+import { JobProgress, RENDER_STATE_BADGES, isActiveJob, useJobPolling } from "../components/render-status";
+import { AdminGraphqlError } from "../utils/admin-graphql.server";
+import {
+  JOB_KIND,
+  enqueueRenderJob,
+  enqueueRetryJob,
+  getLatestRenderJobs,
+  serializeRenderJob,
+} from "../utils/render-jobs.server";
+import { getRankedCollections, rankLocationOutdated, storedRankLocation } from "../utils/rank-keys.server";
+import { staffFromSession } from "../utils/render-runs.server";
+import {
+  COLLECTION_LIST_SORTS,
+  RENDERED_SORT,
+  collectionPageVariables,
+  collectionSearchQuery,
+  pageFromList,
+  parseCollectionListParams,
+  renderedFilter,
+  scanFilteredPage,
+  sortByRenderedAt,
+} from "../utils/collection-list.server";
+import { fetchCollections } from "../utils/render.server";
+import { RENDER_STATE, annotateRenderState } from "../utils/render-state.server";
+import { getShopSettings } from "../utils/shop-settings.server";
 
-// --- Helper: Update a product's metafield via Shopify Admin GraphQL API ---
-async function setProductMetafield({ admin, productId, key, value }) {
-  const mutation = `
-    mutation productUpdate($input: ProductInput!) {
-      productUpdate(input: $input) {
-        product {
-          id
-        }
-        userErrors {
-          field
-          message
-        }
-      }
-    }
-  `;
-  const variables = {
-    input: {
-      id: productId,
-      metafields: [
-        {
-          namespace: "custom",
-          key,
-          type: "number_integer",
-          value: value.toString(),
-        },
-      ],
-    },
-  };
-  const response = await admin.graphql(mutation, { variables });
-  const data = await response.json();
-  if (data?.data?.productUpdate?.userErrors?.length) {
-    console.error("Product metafield update userErrors:", data.data.productUpdate.userErrors);
-  }
-  return data;
-}
+// Quiet period after the last keystroke before the search runs.
+const SEARCH_DEBOUNCE = 400;
+
+const SORT_OPTIONS = [
+  { label: "Title A-Z", value: "title" },
+  { label: "Title Z-A", value: "title-desc" },
+  { label: "Recently updated", value: "updated" },
+  { label: "Recently rendered", value: "rendered" },
+];
+
+const RENDERED_FILTER_OPTIONS = [
+  { label: "Any render state", value: "all" },
+  { label: "Never rendered", value: "never" },
+  { label: "Rendered before", value: "before" },
+];
+
+// Shopify's names for each collection sort order, as shown in the admin.
+const SORT_ORDER_LABELS = {
+  MANUAL: "Manual",
+  BEST_SELLING: "Best selling",
+  ALPHA_ASC: "Title A-Z",
+  ALPHA_DESC: "Title Z-A",
+  PRICE_ASC: "Price, low to high",
+  PRICE_DESC: "Price, high to low",
+  CREATED: "Oldest first",
+  CREATED_DESC: "Newest first",
+};
 
 // --- Action: Handles POST requests from the UI (e.g., "Render" button) ---
 export const action = async ({ request }) => {
   console.log("[action] called with", request.url);
   try {
     // Authenticate the admin session
-    const { admin } = await authenticate.admin(request);
+    const { admin, session, sessionToken } = await authenticate.admin(request);
+    const requestedBy = staffFromSession({ session, sessionToken });
     const formData = await request.formData();
     const collectionId = formData.get("collectionId");
     const collectionHandle = formData.get("collectionHandle");
+    const intent = formData.get("intent") || "render";
 
     if (!admin) {
       return json({ error: "Authentication required" }, { status: 401 });
     }
 
-    console.log("Received action for collection:", collectionId, collectionHandle);
-
-    // --- Fetch collection details and products ---
-    const query = `
-      query getCollection($id: ID!) {
-        collection(id: $id) {
-          id
-          handle
-          sortOrder
-          products(first: 100, sortKey: MANUAL) {
-            edges {
-              node {
-                id
-                title
-              }
-            }
-          }
-        }
-      }
-    `;
-    const response = await admin.graphql(query, { variables: { id: collectionId } });
-    const data = await response.json();
-    console.log("[action] collection data:", JSON.stringify(data));
+    console.log("Received action for collection:", intent, collectionId, collectionHandle);
 
-    const collection = data?.data?.collection;
-    if (!collection) {
-      console.error("Collection not found:", collectionId);
-      return json({ error: "Collection not found" }, { status: 404 });
+    // --- Move ranks from the stored location to the one the handle and settings give today ---
+    if (intent === "migrate-key") {
+      const job = await enqueueRenderJob({
+        shop: session.shop,
+        collectionId,
+        collectionHandle,
+        kind: JOB_KIND.MIGRATE,
+        requestedBy,
+      });
+      return json({
+        success: true,
+        job: serializeRenderJob(job),
+        message: `Rank key migration queued for ${collectionHandle}`,
+      });
     }
 
-    if (collection.sortOrder !== "MANUAL") {
-      console.warn("Collection is not manual sort:", collection.sortOrder);
-      return json({ error: "Collection is not manual sort" }, { status: 400 });
+    // --- Re-run only the products the collection's last render failed to write ---
+    if (intent === "retry-failed") {
+      const job = await enqueueRetryJob({ shop: session.shop, jobId: formData.get("jobId"), requestedBy });
+      if (!job) {
+        return json({ error: "That render has no failed products to retry" }, { status: 400 });
+      }
+      const retried = serializeRenderJob(job);
+      return json({
+        success: true,
+        job: retried,
+        message: retried.productIds
+          ? `Retry queued for ${retried.productIds.length} products in ${collectionHandle}`
+          : `Render queued for ${collectionHandle}`,
+      });
     }
 
-    // --- Set metafield for each product in the collection ---
-    const products = collection.products.edges.map((e) => e.node);
-    const results = { success: 0, failed: 0, errors: [] };
-
-    for (let i = 0; i < products.length; i++) {
-      const product = products[i];
-      try {
-        console.log(
-          `Updating product ${product.id} (${product.title}) with key ${collectionHandle}_rank = ${i + 1}`
-        );
-        await setProductMetafield({
-          admin,
-          productId: product.id,
-          key: `${collectionHandle}_rank`,
-          value: i + 1,
-        });
-        results.success++;
-      } catch (error) {
-        console.error(`Failed to update product ${product.id}:`, error);
-        results.failed++;
-        results.errors.push({
-          productId: product.id,
-          title: product.title,
-          error: error.message,
+    // --- Queue several collections; the worker runs one job at a time, in the order queued ---
+    if (intent === "render-selected" || intent === "render-all" || intent === "render-stale") {
+      let targets;
+      if (intent === "render-all") {
+        const settings = await getShopSettings({ shop: session.shop });
+        targets = await fetchCollections({ admin, settings });
+      } else if (intent === "render-stale") {
+        const settings = await getShopSettings({ shop: session.shop });
+        const collections = await fetchCollections({ admin, settings });
+        await annotateRenderState({ admin, shop: session.shop, collections });
+        targets = collections.filter((col) => col.renderState === RENDER_STATE.STALE);
+      } else {
+        const handles = formData.getAll("collectionHandle");
+        targets = formData.getAll("collectionId").map((id, i) => ({ id, handle: handles[i] }));
+      }
+
+      const jobs = [];
+      for (const target of targets) {
+        const job = await enqueueRenderJob({
+          shop: session.shop,
+          collectionId: target.id,
+          collectionHandle: target.handle,
+          requestedBy,
         });
+        jobs.push(serializeRenderJob(job));
       }
+      return json({
+        success: true,
+        jobs,
+        message: `Render queued for ${jobs.length} collection${jobs.length === 1 ? "" : "s"}`,
+      });
     }
 
-    console.log(`Updated ${results.success} products, failed: ${results.failed} for collection ${collectionHandle}`);
-
-    // --- Update collection's rendered_at metafield ---
-    const now = new Date().toISOString();
-    const setMetafieldMutation = `
-      mutation collectionUpdate($input: CollectionInput!) {
-        collectionUpdate(input: $input) {
-          collection {
-            id
-          }
-          userErrors {
-            field
-            message
-          }
-        }
-      }
-    `;
-    const metafieldResponse = await admin.graphql(setMetafieldMutation, {
-      variables: {
-        input: {
-          id: collectionId,
-          metafields: [
-            {
-              namespace: "custom",
-              key: "rendered_at",
-              type: "single_line_text_field",
-              value: now,
-            },
-          ],
-        },
-      },
-    });
-    const metafieldData = await metafieldResponse.json();
-    console.log("[action] metafield update response:", JSON.stringify(metafieldData));
+    // --- Queue the render; the background worker writes the ranks and reports progress ---
+    const job = await enqueueRenderJob({ shop: session.shop, collectionId, collectionHandle, requestedBy });
 
     return json({
       success: true,
-      results,
-      message: `Successfully updated ${results.success} products${results.failed > 0 ? `, ${results.failed} failed` : ""}`,
+      job: serializeRenderJob(job),
+      message: `Render queued for ${collectionHandle}`,
     });
   } catch (error) {
     console.error("Action error:", error);
     if (error.status === 401) {
       return json({ error: "Session expired. Please refresh the page." }, { status: 401 });
     }
+    if (error instanceof AdminGraphqlError) {
+      return json({ error: error.message }, { status: error.status });
+    }
     return json({ error: error.message || "An unexpected error occurred" }, { status: 500 });
   }
 };
 
-// --- Loader: Loads collections for the current page (pagination support) ---
+// --- Loader: One page of collections for the search, filter and sort in the URL ---
 export const loader = async ({ request }) => {
   console.log("[loader] called with", request.url);
   const { admin, session } = await authenticate.admin(request);
   const shop = session?.shop || process.env.SHOPIFY_SHOP;
   const url = new URL(request.url);
-  const page = parseInt(url.searchParams.get("page") || "1", 10);
-  const after = url.searchParams.get("after") || null;
-  const perPage = 30;
+  const params = parseCollectionListParams(url.searchParams);
+  const settings = await getShopSettings({ shop });
+  const emptyPage = { hasNextPage: false, hasPreviousPage: false, startCursor: null, endCursor: null };
 
   // --- GraphQL query to fetch paginated collections ---
   const query = `
-    query getCollections($first: Int!, $after: String) {
-      collections(first: $first, after: $after, query: "sortOrder:MANUAL") {
+    query getCollections(
+      $first: Int
+      $after: String
+      $last: Int
+      $before: String
+      $query: String
+      $sortKey: CollectionSortKeys!
+      $reverse: Boolean!
+      $namespace: String!
+      $renderedAtKey: String!
+    ) {
+      collections(
+        first: $first
+        after: $after
+        last: $last
+        before: $before
+        query: $query
+        sortKey: $sortKey
+        reverse: $reverse
+      ) {
         pageInfo { hasNextPage hasPreviousPage endCursor startCursor }
         edges {
           cursor
@@ -199,113 +218,391 @@ export const loader = async ({ request }) => {
             title
             handle
             sortOrder
+            updatedAt
+            ruleSet { appliedDisjunctively }
             productsCount { count }
-            metafield(namespace: "custom", key: "rendered_at") { value }
+            metafield(namespace: $namespace, key: $renderedAtKey) { value }
           }
         }
       }
     }
   `;
 
-  const response = await admin.graphql(query, {
-    variables: { first: perPage, after },
-  });
-  const data = await response.json();
+  const fetchPage = async (paging) => {
+    const response = await admin.graphql(query, {
+      variables: {
+        ...paging,
+        ...COLLECTION_LIST_SORTS[params.sort],
+        query: collectionSearchQuery(params),
+        namespace: settings.namespace,
+        renderedAtKey: settings.renderedAtKey,
+      },
+    });
+    const data = await response.json();
+    return data?.data?.collections;
+  };
 
-  if (!data?.data?.collections?.edges) {
+  // --- The render filter reads the same rendered_at metafield as the column, page by page ---
+  const matches = renderedFilter(params);
+  let malformed = false;
+  let connection;
+  if (params.sort === RENDERED_SORT) {
+    // Sorting by a metafield means reading every matching collection and sorting them here.
+    try {
+      const all = await fetchCollections({ admin, query: collectionSearchQuery(params), settings });
+      const kept = matches ? all.filter((col) => matches(col.renderedAt)) : all;
+      connection = pageFromList({ items: sortByRenderedAt(kept), after: params.after, before: params.before });
+    } catch (error) {
+      console.error("[loader] Failed to fetch collections:", error);
+      malformed = true;
+    }
+  } else if (matches) {
+    connection = await scanFilteredPage({
+      fetchPage: async (paging) => {
+        const page = await fetchPage(paging);
+        if (page?.edges) return page;
+        malformed = true;
+        return { edges: [], pageInfo: emptyPage };
+      },
+      matches: (node) => matches(node.metafield?.value || null),
+      after: params.after,
+      before: params.before,
+    });
+  } else {
+    connection = await fetchPage(collectionPageVariables(params));
+  }
+
+  if (malformed || !connection?.edges) {
     return json({
       collections: [],
-      pageInfo: { hasNextPage: false, hasPreviousPage: false },
-      currentPage: page,
-      perPage,
+      jobs: {},
+      pageInfo: emptyPage,
+      filters: params,
       shop,
       error: "Collections data is missing or malformed.",
     });
   }
 
-  // --- Format collections for the UI ---
-  const collections = data.data.collections.edges.map(({ node, cursor }) => ({
-    id: node.id,
-    title: node.title,
-    handle: node.handle,
-    sortOrder: node.sortOrder,
-    totalProducts: node.productsCount?.count ?? 0,
-    renderedAt: node.metafield?.value || null,
-    cursor,
-  }));
+  // --- Format collections for the UI; the rendered sort already has them in that shape ---
+  const collections = connection.edges.map(({ node, cursor }) =>
+    params.sort === RENDERED_SORT
+      ? { ...node, cursor }
+      : {
+          id: node.id,
+          title: node.title,
+          handle: node.handle,
+          sortOrder: node.sortOrder,
+          smart: Boolean(node.ruleSet),
+          updatedAt: node.updatedAt,
+          totalProducts: node.productsCount?.count ?? 0,
+          renderedAt: node.metafield?.value || null,
+          cursor,
+        },
+  );
+
+  // --- Latest render job per collection, so progress survives reloads ---
+  const collectionIds = collections.map((col) => col.id);
+  const jobs = await getLatestRenderJobs({ shop, collectionIds });
+
+  // --- Up to date, stale or never rendered ---
+  await annotateRenderState({ admin, shop, collections });
+
+  // --- Flag collections whose stored rank location no longer matches the handle or the settings ---
+  const rankedCollections = await getRankedCollections({ shop, collectionIds });
+  for (const col of collections) {
+    const stored = storedRankLocation(rankedCollections[col.id], col, settings);
+    col.rankKey = `${stored.namespace}.${stored.rankKey}`;
+    col.rankKeyOutdated = rankLocationOutdated(stored, col, settings);
+  }
 
   return json({
     collections,
-    pageInfo: data.data.collections.pageInfo,
-    currentPage: page,
-    perPage,
+    jobs,
+    pageInfo: connection.pageInfo,
+    filters: params,
     shop,
   });
 };
 
+// --- One collection row; each row has its own fetcher so its status is tracked on its own ---
+function CollectionRow({ col, index, job, shop, selected, onResult }) {
+  const fetcher = useFetcher();
+  const [showFailures, setShowFailures] = useState(false);
+  const isActive = isActiveJob(job);
+  const isSubmitting = fetcher.state !== "idle";
+  const isBusy = isActive || isSubmitting;
+  const collectionIdShort = col.id.split("/").pop();
+  const adminUrl = `https://${shop}/admin/collections/${collectionIdShort}`;
+
+  // --- Hand the action response to the page (job state and toast) ---
+  useEffect(() => {
+    if (fetcher.state === "idle" && fetcher.data) {
+      onResult(fetcher.data);
+    }
+  }, [fetcher.state, fetcher.data, onResult]);
+
+  // Clicks on the row toggle its selection; keep the buttons from doing that too.
+  const stopPropagation = (event) => event.stopPropagation();
+
+  return (
+    <IndexTable.Row id={col.id} position={index} selected={selected}>
+      <IndexTable.Cell>
+        <BlockStack gap="100">
+          <a href={adminUrl} target="_blank" rel="noopener noreferrer" onClick={stopPropagation}>
+            {col.title}
+          </a>
+          {col.rankKeyOutdated && (
+            <InlineStack gap="200" blockAlign="center">
+              <Badge tone="warning">{`Key outdated, ranks still in ${col.rankKey}`}</Badge>
+              <div onClick={stopPropagation}>
+                <Button
+                  variant="plain"
+                  disabled={isBusy}
+                  onClick={() =>
+                    fetcher.submit(
+                      { intent: "migrate-key", collectionId: col.id, collectionHandle: col.handle },
+                      { method: "post" },
+                    )
+                  }
+                >
+                  Migrate key
+                </Button>
+              </div>
+            </InlineStack>
+          )}
+        </BlockStack>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <InlineStack gap="100">
+          <Badge tone={col.sortOrder === "MANUAL" ? "success" : undefined}>
+            {SORT_ORDER_LABELS[col.sortOrder] || col.sortOrder}
+          </Badge>
+          {col.smart && <Badge tone="info">Smart</Badge>}
+        </InlineStack>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <Text as="span" alignment="end" numeric>
+          {col.totalProducts}
+        </Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <BlockStack gap="100">
+          {RENDER_STATE_BADGES[col.renderState]}
+          {col.renderedAt && (
+            <Text as="span" variant="bodySm" tone="subdued">
+              {new Date(col.renderedAt).toLocaleString()}
+            </Text>
+          )}
+        </BlockStack>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <BlockStack gap="100">
+          {isActive && <JobProgress job={job} />}
+          {job?.status === "succeeded" &&
+            (job.failed ? (
+              <Badge tone="warning">{`${job.failed} failed`}</Badge>
+            ) : (
+              <Badge tone="success">Rendered</Badge>
+            ))}
+          {job?.status === "succeeded" && job.failed > 0 && (
+            <div onClick={stopPropagation}>
+              <BlockStack gap="100">
+                <InlineStack gap="200">
+                  <Button
+                    variant="plain"
+                    disclosure={showFailures ? "up" : "down"}
+                    onClick={() => setShowFailures((open) => !open)}
+                  >
+                    {showFailures ? "Hide failures" : "Show failures"}
+                  </Button>
+                  <Button
+                    variant="plain"
+                    disabled={isBusy}
+                    onClick={() =>
+                      fetcher.submit(
+                        { intent: "retry-failed", jobId: job.id, collectionHandle: col.handle },
+                        { method: "post" },
+                      )
+                    }
+                  >
+                    Retry failed
+                  </Button>
+                </InlineStack>
+                <Collapsible id={`${job.id}-failures`} open={showFailures}>
+                  <BlockStack gap="100">
+                    {job.errors.map((error, i) => (
+                      <Text key={`${error.productId}-${i}`} as="p" variant="bodySm" tone="critical">
+                        {`${error.title || error.productId}: ${error.error}`}
+                      </Text>
+                    ))}
+                    {job.failed > job.errors.length && (
+                      <Text as="p" variant="bodySm" tone="subdued">
+                        {`and ${job.failed - job.errors.length} more`}
+                      </Text>
+                    )}
+                  </BlockStack>
+                </Collapsible>
+              </BlockStack>
+            </div>
+          )}
+          {job?.status === "failed" && (
+            <Text as="span" variant="bodySm" tone="critical">
+              {job.message}
+            </Text>
+          )}
+        </BlockStack>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <div onClick={stopPropagation}>
+          <InlineStack gap="200" blockAlign="center">
+            <Button
+              disabled={isBusy}
+              loading={isSubmitting}
+              onClick={() =>
+                fetcher.submit({ collectionId: col.id, collectionHandle: col.handle }, { method: "post" })
+              }
+            >
+              {isBusy ? "Processing..." : "Render"}
+            </Button>
+            <Button variant="plain" disabled={isBusy} url={`/app/preview/${collectionIdShort}`}>
+              Preview
+            </Button>
+            {col.sortOrder === "MANUAL" && (
+              <Button variant="plain" disabled={isBusy} url={`/app/editor/${collectionIdShort}`}>
+                Reorder
+              </Button>
+            )}
+            <Button variant="plain" url={`/app/history/${collectionIdShort}`}>
+              History
+            </Button>
+          </InlineStack>
+        </div>
+      </IndexTable.Cell>
+    </IndexTable.Row>
+  );
+}
+
 // --- Main React component for the page ---
 export default function App() {
   // --- Get initial data from loader ---
-  const { collections, pageInfo, currentPage, shop } = useLoaderData();
+  const { collections, jobs: initialJobs, pageInfo, filters, shop } = useLoaderData();
   const [toastMessage, setToastMessage] = useState(null);
-  const [lastToastId, setLastToastId] = useState(null);
+  const [searchValue, setSearchValue] = useState(filters.q);
+  const [jobs, setJobs] = useState(initialJobs);
+  const previousJobs = useRef(initialJobs);
   const navigate = useNavigate();
-  const fetcher = useFetcher();
+  const bulkFetcher = useFetcher();
+  const statusFetcher = useFetcher();
+  const { selectedResources, allResourcesSelected, handleSelectionChange, clearSelection } =
+    useIndexResourceState(collections);
 
-  // --- Handle toast messages for action responses ---
+  // --- Reset job state and selection when the loader data changes (pagination, revalidation) ---
   useEffect(() => {
-    if (fetcher.data?.success && fetcher.state === "idle" && lastToastId !== fetcher.data.message) {
-      setToastMessage({
-        content: fetcher.data.message,
-        tone: "success",
-      });
-      setLastToastId(fetcher.data.message);
-    } else if (fetcher.data?.error && fetcher.state === "idle" && lastToastId !== fetcher.data.error) {
-      if (fetcher.data.error === "Session expired. Please refresh the page.") {
-        window.location.reload();
-      } else {
-        setToastMessage({
-          content: fetcher.data.error,
-          tone: "critical",
-        });
+    setJobs(initialJobs);
+    previousJobs.current = initialJobs;
+  }, [initialJobs]);
+
+  useEffect(() => {
+    clearSelection();
+  }, [collections, clearSelection]);
+
+  // --- Track the jobs returned by an action and toast its message ---
+  const handleResult = useCallback((data) => {
+    const returned = data.jobs || (data.job ? [data.job] : []);
+    if (returned.length) {
+      setJobs((current) => ({
+        ...current,
+        ...Object.fromEntries(returned.map((job) => [job.collectionId, job])),
+      }));
+    }
+    if (data.success) {
+      setToastMessage({ content: data.message, tone: "success" });
+    } else if (data.error === "Session expired. Please refresh the page.") {
+      window.location.reload();
+    } else if (data.error) {
+      setToastMessage({ content: data.error, tone: "critical" });
+    }
+  }, []);
+
+  useEffect(() => {
+    if (bulkFetcher.state === "idle" && bulkFetcher.data) {
+      handleResult(bulkFetcher.data);
+    }
+  }, [bulkFetcher.state, bulkFetcher.data, handleResult]);
+
+  // --- Merge polled job status and toast when a job finishes ---
+  useEffect(() => {
+    const polled = statusFetcher.data?.jobs;
+    if (!polled) return;
+    for (const job of Object.values(polled)) {
+      const before = previousJobs.current[job.collectionId];
+      const wasActive = before?.id === job.id && isActiveJob(before);
+      if (wasActive && job.status === "succeeded") {
+        setToastMessage({ content: job.message, tone: job.failed ? "critical" : "success" });
+      } else if (wasActive && job.status === "failed") {
+        setToastMessage({ content: job.message || "Render failed", tone: "critical" });
       }
-      setLastToastId(fetcher.data.error);
     }
-  }, [fetcher.data, fetcher.state, lastToastId]);
-
-  // --- Handle pagination (navigates to new page) ---
-  const handlePageChange = (newPage) => {
-    const url = new URL(window.location.href);
-    const params = new URLSearchParams(url.search);
-    params.set("page", newPage.toString());
-    if (newPage > currentPage && pageInfo.endCursor) {
-      params.set("after", pageInfo.endCursor);
-    } else if (newPage < currentPage) {
-      params.delete("after");
+    previousJobs.current = { ...previousJobs.current, ...polled };
+    setJobs((current) => ({ ...current, ...polled }));
+  }, [statusFetcher.data]);
+
+  // --- Poll the job-status route while any render is queued or running ---
+  useJobPolling({ statusFetcher, jobs, collections });
+
+  // --- Navigate with updated list params; a new search, filter or sort starts at the first page ---
+  const updateList = useCallback(
+    (changes) => {
+      const params = new URLSearchParams(window.location.search);
+      if (!("after" in changes || "before" in changes)) {
+        params.delete("after");
+        params.delete("before");
+      }
+      for (const [key, value] of Object.entries(changes)) {
+        if (value) {
+          params.set(key, value);
+        } else {
+          params.delete(key);
+        }
+      }
+      navigate(`/app?${params.toString()}`, { replace: true });
+    },
+    [navigate],
+  );
+
+  // --- Run the title search once typing pauses ---
+  useEffect(() => {
+    if (searchValue.trim() === filters.q) return;
+    const timer = setTimeout(() => updateList({ q: searchValue.trim() }), SEARCH_DEBOUNCE);
+    return () => clearTimeout(timer);
+  }, [searchValue, filters.q, updateList]);
+
+  // --- Bulk actions: queue the selected rows in table order, or every collection ---
+  const isBulkSubmitting = bulkFetcher.state !== "idle";
+  const renderSelected = () => {
+    const formData = new FormData();
+    formData.append("intent", "render-selected");
+    for (const col of collections) {
+      if (allResourcesSelected || selectedResources.includes(col.id)) {
+        formData.append("collectionId", col.id);
+        formData.append("collectionHandle", col.handle);
+      }
     }
-    navigate(`/app?${params.toString()}`, { replace: true });
+    bulkFetcher.submit(formData, { method: "post" });
+    clearSelection();
   };
 
-  // --- Prepare table rows for DataTable ---
-  const rows = collections.map((col) => {
-    const isSubmitting = fetcher.state === "submitting";
-    const collectionIdShort = col.id.split("/").pop();
-    const adminUrl = `https://${shop}/admin/collections/${collectionIdShort}`;
-
-    return [
-      <a href={adminUrl} target="_blank" rel="noopener noreferrer">{col.title}</a>,
-      col.sortOrder === "MANUAL" ? <Badge tone="success">Manual</Badge> : col.sortOrder,
-      col.totalProducts,
-      col.renderedAt ? new Date(col.renderedAt).toLocaleString() : "",
-      <fetcher.Form method="post">
-        <input type="hidden" name="collectionId" value={col.id} />
-        <input type="hidden" name="collectionHandle" value={col.handle} />
-        <Button submit disabled={isSubmitting || col.sortOrder !== "MANUAL"} loading={isSubmitting}>
-          {isSubmitting ? "Processing..." : "Render"}
-        </Button>
-      </fetcher.Form>,
-    ];
-  });
+  const rowMarkup = collections.map((col, index) => (
+    <CollectionRow
+      key={col.id}
+      col={col}
+      index={index}
+      job={jobs[col.id]}
+      shop={shop}
+      selected={selectedResources.includes(col.id)}
+      onResult={handleResult}
+    />
+  ));
 
   // --- Render the page UI ---
   return (
@@ -317,19 +614,94 @@ export default function App() {
       <body>
         <AppProvider i18n={enTranslations}>
           <Frame>
-            <Page title="Collections">
+            <Page
+              title="Collections"
+              primaryAction={{
+                content: "Render all",
+                loading: isBulkSubmitting && bulkFetcher.formData?.get("intent") === "render-all",
+                disabled: isBulkSubmitting,
+                onAction: () => bulkFetcher.submit({ intent: "render-all" }, { method: "post" }),
+              }}
+              secondaryActions={[
+                {
+                  content: "Render all stale",
+                  loading: isBulkSubmitting && bulkFetcher.formData?.get("intent") === "render-stale",
+                  disabled: isBulkSubmitting,
+                  onAction: () => bulkFetcher.submit({ intent: "render-stale" }, { method: "post" }),
+                },
+                { content: "Generate Settings", url: "/app/generate-settings" },
+                { content: "Definitions", url: "/app/definitions" },
+                { content: "Settings", url: "/app/settings" },
+                { content: "History", url: "/app/history" },
+                { content: "Tools", url: "/app/tools" },
+              ]}
+            >
               <LegacyCard>
-                <DataTable
-                  columnContentTypes={["text", "text", "numeric", "text", "text"]}
-                  headings={["Collection", "Sort Order", "Total Products", "Rendered At", "Action"]}
-                  rows={rows}
-                />
+                <div style={{ padding: 16 }}>
+                  <InlineStack gap="300" blockAlign="center">
+                    <div style={{ flexGrow: 1 }}>
+                      <TextField
+                        label="Search collections"
+                        labelHidden
+                        placeholder="Search by title"
+                        value={searchValue}
+                        onChange={setSearchValue}
+                        clearButton
+                        onClearButtonClick={() => setSearchValue("")}
+                        autoComplete="off"
+                      />
+                    </div>
+                    <Select
+                      label="Sort by"
+                      labelInline
+                      options={SORT_OPTIONS}
+                      value={filters.sort}
+                      onChange={(sort) => updateList({ sort })}
+                    />
+                    <Select
+                      label="Render state"
+                      labelHidden
+                      options={RENDERED_FILTER_OPTIONS}
+                      value={filters.rendered}
+                      onChange={(rendered) => updateList({ rendered: rendered === "all" ? null : rendered })}
+                    />
+                    {filters.rendered === "before" && (
+                      <TextField
+                        label="Rendered before"
+                        labelHidden
+                        type="date"
+                        value={filters.date || ""}
+                        onChange={(date) => updateList({ date })}
+                        autoComplete="off"
+                      />
+                    )}
+                  </InlineStack>
+                </div>
+                <IndexTable
+                  resourceName={{ singular: "collection", plural: "collections" }}
+                  itemCount={collections.length}
+                  selectedItemsCount={allResourcesSelected ? "All" : selectedResources.length}
+                  onSelectionChange={handleSelectionChange}
+                  promotedBulkActions={[
+                    { content: "Render selected", onAction: renderSelected, disabled: isBulkSubmitting },
+                  ]}
+                  headings={[
+                    { title: "Collection" },
+                    { title: "Sort Order" },
+                    { title: "Total Products", alignment: "end" },
+                    { title: "Rendered At" },
+                    { title: "Status" },
+                    { title: "Action" },
+                  ]}
+                >
+                  {rowMarkup}
+                </IndexTable>
                 <div style={{ marginTop: 16, display: "flex", justifyContent: "center" }}>
                   <Pagination
-                    hasPrevious={currentPage > 1}
-                    onPrevious={() => handlePageChange(currentPage - 1)}
+                    hasPrevious={pageInfo?.hasPreviousPage}
+                    onPrevious={() => updateList({ before: pageInfo.startCursor, after: null })}
                     hasNext={pageInfo?.hasNextPage}
-                    onNext={() => handlePageChange(currentPage + 1)}
+                    onNext={() => updateList({ after: pageInfo.endCursor, before: null })}
                   />
                 </div>
               </LegacyCard>
@@ -0,0 +1,225 @@
+import { json } from "@remix-run/node";
+import { useLoaderData, useFetcher } from "@remix-run/react";
+import { Page, Layout, Card, DataTable, Badge, Button, Banner, Modal, Text } from "@shopify/polaris";
+import { useEffect, useState } from "react";
+import { authenticate } from "../shopify.server";
+import { fetchCollections } from "../utils/render.server";
+import { getRankedCollections, storedRankLocation } from "../utils/rank-keys.server";
+import { getShopSettings } from "../utils/shop-settings.server";
+import {
+  createRankDefinition,
+  deleteRankDefinition,
+  fetchRankDefinitions,
+  getOwnedDefinitionIds,
+  reconcileRankDefinitions,
+  updateRankDefinition,
+} from "../utils/metafield-definitions.server";
+
+// --- Helper: Compare the shop's rank definitions with its collections ---
+async function loadReconciliation(admin, shop) {
+  const settings = await getShopSettings({ shop });
+  const collections = await fetchCollections({ admin, settings });
+  const records = await getRankedCollections({ shop, collectionIds: collections.map((col) => col.id) });
+  const keyed = collections.map((col) => {
+    const { namespace, rankKey, valueType } = storedRankLocation(records[col.id], col, settings);
+    return { ...col, namespace, rankKey, valueType, strategy: records[col.id]?.strategy };
+  });
+
+  // Collections not yet migrated keep their keys in the namespace they were ranked under.
+  const namespaces = [...new Set([settings.namespace, ...keyed.map((col) => col.namespace)])];
+  const definitions = (
+    await Promise.all(
+      namespaces.map((namespace) =>
+        fetchRankDefinitions({
+          admin,
+          namespace,
+          keyTemplate: settings.keyTemplate,
+          keys: keyed.filter((col) => col.namespace === namespace).map((col) => col.rankKey),
+        }),
+      ),
+    )
+  ).flat();
+  const rankedIds = new Set(keyed.filter((col) => col.renderedAt || records[col.id]).map((col) => col.id));
+  const ownedIds = await getOwnedDefinitionIds({ shop });
+  return reconcileRankDefinitions({ definitions, collections: keyed, rankedIds, ownedIds });
+}
+
+// --- Loader: One row per rank key, with its reconciliation status ---
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const rows = await loadReconciliation(admin, session.shop);
+
+  return json({
+    rows: rows.map((row) => ({
+      status: row.status,
+      drift: row.drift,
+      namespace: row.definition?.namespace || row.input?.namespace,
+      key: row.definition?.key || row.input?.key,
+      name: row.definition?.name || row.input?.name,
+      definitionId: row.definition?.id || null,
+      metafieldsCount: row.definition?.metafieldsCount ?? null,
+      collectionTitle: row.collection?.title || null,
+    })),
+  });
+};
+
+// --- Action: Reconcile all definitions, or delete an orphaned one the app created ---
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  try {
+    if (intent === "delete") {
+      const definitionId = formData.get("definitionId");
+      const ownedIds = await getOwnedDefinitionIds({ shop: session.shop });
+      if (!ownedIds.has(definitionId)) {
+        return json({ error: "Only definitions created by this app can be deleted here" }, { status: 403 });
+      }
+      // Re-check against the collections now: the key may have been claimed again since the page loaded.
+      const rows = await loadReconciliation(admin, session.shop);
+      const row = rows.find((candidate) => candidate.definition?.id === definitionId);
+      if (row?.status !== "orphaned") {
+        return json({ error: "Only orphaned definitions can be deleted" }, { status: 409 });
+      }
+      await deleteRankDefinition({ admin, id: definitionId, deleteAllAssociatedMetafields: true });
+      return json({ success: true, message: "Definition and its metafields deleted" });
+    }
+
+    if (intent === "reconcile") {
+      const rows = await loadReconciliation(admin, session.shop);
+      let created = 0;
+      let updated = 0;
+      const errors = [];
+      for (const row of rows) {
+        try {
+          if (row.status === "missing") {
+            await createRankDefinition({ admin, shop: session.shop, input: row.input });
+            created++;
+          } else if (row.status === "drift" && !row.drift.includes("type")) {
+            await updateRankDefinition({ admin, input: row.input });
+            updated++;
+          }
+        } catch (error) {
+          errors.push(`${row.input.key}: ${error.message}`);
+        }
+      }
+      return json({
+        success: errors.length === 0,
+        error: errors.length ? errors.join("; ") : undefined,
+        message: `Created ${created} and updated ${updated} definitions`,
+      });
+    }
+
+    return json({ error: `Unknown intent ${intent}` }, { status: 400 });
+  } catch (error) {
+    console.error("[definitions] action error:", error);
+    return json({ error: error.message || "An unexpected error occurred" }, { status: 500 });
+  }
+};
+
+const STATUS_BADGES = {
+  ok: <Badge tone="success">Defined</Badge>,
+  missing: <Badge tone="attention">Missing</Badge>,
+  drift: <Badge tone="warning">Out of date</Badge>,
+  orphaned: <Badge tone="critical">Orphaned</Badge>,
+};
+
+export default function Definitions() {
+  const { rows } = useLoaderData();
+  const fetcher = useFetcher();
+  const [deleting, setDeleting] = useState(null);
+  const isBusy = fetcher.state !== "idle";
+  const pending = rows.filter((row) => row.status === "missing" || row.status === "drift").length;
+
+  const tableRows = rows.map((row) => [
+    row.collectionTitle || (
+      <Text key={`${row.key}-title`} as="span" tone="subdued">
+        Deleted collection
+      </Text>
+    ),
+    `${row.namespace}.${row.key}`,
+    row.name,
+    row.metafieldsCount ?? "—",
+    <span key={`${row.key}-status`}>
+      {STATUS_BADGES[row.status]} {row.drift.length ? row.drift.join(", ") : ""}
+    </span>,
+    row.status === "orphaned" ? (
+      <Button
+        key={`${row.key}-delete`}
+        tone="critical"
+        disabled={isBusy}
+        onClick={() => setDeleting(row)}
+      >
+        Delete
+      </Button>
+    ) : (
+      ""
+    ),
+  ]);
+
+  // --- Close the confirmation once the delete has gone through ---
+  useEffect(() => {
+    if (fetcher.state === "idle" && fetcher.data) {
+      setDeleting(null);
+    }
+  }, [fetcher.state, fetcher.data]);
+
+  return (
+    <Page
+      title="Rank metafield definitions"
+      backAction={{ content: "Collections", url: "/app" }}
+      primaryAction={{
+        content: pending ? `Reconcile ${pending}` : "All definitions up to date",
+        disabled: !pending || isBusy,
+        loading: isBusy && fetcher.formData?.get("intent") === "reconcile",
+        onAction: () => fetcher.submit({ intent: "reconcile" }, { method: "post" }),
+      }}
+    >
+      <Layout>
+        {fetcher.data?.error && (
+          <Layout.Section>
+            <Banner tone="critical">
+              <p>{fetcher.data.error}</p>
+            </Banner>
+          </Layout.Section>
+        )}
+        {fetcher.data?.success && (
+          <Layout.Section>
+            <Banner tone="success" title={fetcher.data.message} />
+          </Layout.Section>
+        )}
+        <Layout.Section>
+          <Card padding="0">
+            <DataTable
+              columnContentTypes={["text", "text", "text", "numeric", "text", "text"]}
+              headings={["Collection", "Key", "Definition", "Metafields", "Status", ""]}
+              rows={tableRows}
+              footerContent={rows.length ? undefined : "No rank keys yet"}
+            />
+          </Card>
+        </Layout.Section>
+      </Layout>
+      <Modal
+        open={Boolean(deleting)}
+        onClose={() => setDeleting(null)}
+        title="Delete this definition?"
+        primaryAction={{
+          content: "Delete definition and metafields",
+          destructive: true,
+          loading: isBusy && fetcher.formData?.get("intent") === "delete",
+          onAction: () => fetcher.submit({ intent: "delete", definitionId: deleting.definitionId }, { method: "post" }),
+        }}
+        secondaryActions={[{ content: "Cancel", onAction: () => setDeleting(null) }]}
+      >
+        <Modal.Section>
+          <Text as="p">
+            {deleting &&
+              `${deleting.namespace}.${deleting.key} and the ${deleting.metafieldsCount ?? 0} product metafields ` +
+                "stored under it will be deleted. This can't be undone."}
+          </Text>
+        </Modal.Section>
+      </Modal>
+    </Page>
+  );
+}
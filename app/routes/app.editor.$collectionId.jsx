@@ -0,0 +1,229 @@
+import { json, redirect } from "@remix-run/node";
+import { useLoaderData, useFetcher } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Card,
+  Banner,
+  BlockStack,
+  Box,
+  Button,
+  InlineStack,
+  Pagination,
+  Text,
+  TextField,
+  Thumbnail,
+} from "@shopify/polaris";
+import { useState } from "react";
+import { authenticate } from "../shopify.server";
+import {
+  ReorderError,
+  fetchEditableProducts,
+  parseProductOrder,
+  reorderCollection,
+} from "../utils/collection-editor.server";
+import { enqueueRenderJob } from "../utils/render-jobs.server";
+import { staffFromSession } from "../utils/render-runs.server";
+import { fetchCollection } from "../utils/render.server";
+
+// Cards shown at once. Dragging works within the page; Top, Bottom and positions reach the whole order.
+const EDITOR_PAGE_SIZE = 48;
+
+// --- Loader: A manual collection's products in their current order ---
+export const loader = async ({ request, params }) => {
+  const { admin } = await authenticate.admin(request);
+  const collectionId = `gid://shopify/Collection/${params.collectionId}`;
+
+  const collection = await fetchCollection({ admin, collectionId });
+  if (!collection) {
+    return json({ error: "Collection not found" }, { status: 404 });
+  }
+  if (collection.sortOrder !== "MANUAL") {
+    return json({ error: "Only manually sorted collections can be reordered" }, { status: 400 });
+  }
+
+  const products = await fetchEditableProducts({ admin, collectionId });
+  return json({ collection: { id: collection.id, title: collection.title, handle: collection.handle }, products });
+};
+
+// --- Action: Write the new order to Shopify, then queue the render that re-ranks it ---
+export const action = async ({ request, params }) => {
+  const { admin, session, sessionToken } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const collectionId = `gid://shopify/Collection/${params.collectionId}`;
+
+  try {
+    const productIds = parseProductOrder(formData.get("order"));
+    const moved = await reorderCollection({ admin, collectionId, productIds });
+    console.log(`[editor] ${collectionId} reordered with ${moved} moves`);
+    await enqueueRenderJob({
+      shop: session.shop,
+      collectionId,
+      collectionHandle: formData.get("collectionHandle"),
+      requestedBy: staffFromSession({ session, sessionToken }),
+    });
+    return redirect("/app");
+  } catch (error) {
+    if (error instanceof ReorderError) {
+      return json({ error: error.message }, { status: error.status });
+    }
+    console.error("[editor] action error:", error);
+    return json({ error: error.message || "An unexpected error occurred" }, { status: 500 });
+  }
+};
+
+// --- Helper: Move the item at `from` to index `to` ---
+function moveItem(items, from, to) {
+  const next = [...items];
+  const [item] = next.splice(from, 1);
+  next.splice(Math.max(0, Math.min(to, next.length)), 0, item);
+  return next;
+}
+
+export default function CollectionEditor() {
+  const { collection, products, error } = useLoaderData();
+  const fetcher = useFetcher();
+  const [order, setOrder] = useState(products || []);
+  const [dragIndex, setDragIndex] = useState(null);
+  const [positions, setPositions] = useState({});
+  const [page, setPage] = useState(0);
+  const isSaving = fetcher.state !== "idle";
+
+  if (error) {
+    return (
+      <Page title="Reorder" backAction={{ content: "Collections", url: "/app" }}>
+        <Banner tone="critical" title={error} />
+      </Page>
+    );
+  }
+
+  const changed = order.some((product, i) => product.id !== products[i].id);
+  const pageCount = Math.max(1, Math.ceil(order.length / EDITOR_PAGE_SIZE));
+  const pageStart = page * EDITOR_PAGE_SIZE;
+  const pageEnd = Math.min(pageStart + EDITOR_PAGE_SIZE, order.length);
+  const move = (from, to) => setOrder((current) => moveItem(current, from, to));
+  const moveToPosition = (index, productId) => {
+    const position = parseInt(positions[productId], 10);
+    if (Number.isInteger(position) && position >= 1) {
+      move(index, position - 1);
+    }
+    setPositions((current) => ({ ...current, [productId]: "" }));
+  };
+
+  return (
+    <Page
+      title={`Reorder: ${collection.title}`}
+      subtitle="Drag products or move them by position, then save to update Shopify and re-render the ranks"
+      backAction={{ content: "Collections", url: "/app" }}
+      primaryAction={{
+        content: "Save order",
+        loading: isSaving,
+        disabled: !changed || isSaving,
+        onAction: () =>
+          fetcher.submit(
+            { order: JSON.stringify(order.map((product) => product.id)), collectionHandle: collection.handle },
+            { method: "post" },
+          ),
+      }}
+      secondaryActions={[{ content: "Reset", disabled: !changed || isSaving, onAction: () => setOrder(products) }]}
+    >
+      <Layout>
+        {fetcher.data?.error && (
+          <Layout.Section>
+            <Banner tone="critical">
+              <p>{fetcher.data.error}</p>
+            </Banner>
+          </Layout.Section>
+        )}
+        <Layout.Section>
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(200px, 1fr))", gap: 12 }}>
+            {order.slice(pageStart, pageEnd).map((product, i) => {
+              const index = pageStart + i;
+              return (
+                <div
+                  key={product.id}
+                  draggable={!isSaving}
+                  onDragStart={() => setDragIndex(index)}
+                  onDragOver={(event) => event.preventDefault()}
+                  onDrop={() => {
+                    if (dragIndex !== null && dragIndex !== index) move(dragIndex, index);
+                    setDragIndex(null);
+                  }}
+                  onDragEnd={() => setDragIndex(null)}
+                  style={{ cursor: "grab", opacity: dragIndex === index ? 0.4 : 1 }}
+                >
+                  <Card>
+                    <BlockStack gap="200">
+                      <InlineStack gap="200" blockAlign="center" wrap={false}>
+                        <Text as="span" variant="headingSm">
+                          {index + 1}
+                        </Text>
+                        {product.image ? (
+                          <Thumbnail source={product.image} alt={product.imageAlt} size="small" />
+                        ) : (
+                          <Box
+                            background="bg-surface-secondary"
+                            minWidth="40px"
+                            minHeight="40px"
+                            borderRadius="100"
+                          />
+                        )}
+                      </InlineStack>
+                      <Text as="p" fontWeight="semibold" truncate>
+                        {product.title}
+                      </Text>
+                      <Text as="p" variant="bodySm" tone="subdued">
+                        {product.inventory === null ? "Inventory not tracked" : `${product.inventory} in stock`}
+                      </Text>
+                      <InlineStack gap="100">
+                        <Button size="slim" disabled={index === 0} onClick={() => move(index, 0)}>
+                          Top
+                        </Button>
+                        <Button
+                          size="slim"
+                          disabled={index === order.length - 1}
+                          onClick={() => move(index, order.length)}
+                        >
+                          Bottom
+                        </Button>
+                      </InlineStack>
+                      <TextField
+                        label="Move to position"
+                        labelHidden
+                        type="number"
+                        min={1}
+                        max={order.length}
+                        placeholder="Position"
+                        value={positions[product.id] || ""}
+                        onChange={(value) => setPositions((current) => ({ ...current, [product.id]: value }))}
+                        connectedRight={
+                          <Button size="slim" onClick={() => moveToPosition(index, product.id)}>
+                            Move
+                          </Button>
+                        }
+                        autoComplete="off"
+                      />
+                    </BlockStack>
+                  </Card>
+                </div>
+              );
+            })}
+          </div>
+        </Layout.Section>
+        {pageCount > 1 && (
+          <Layout.Section>
+            <InlineStack align="center">
+              <Pagination
+                hasPrevious={page > 0}
+                onPrevious={() => setPage(page - 1)}
+                hasNext={page < pageCount - 1}
+                onNext={() => setPage(page + 1)}
+                label={`Products ${pageStart + 1}-${pageEnd} of ${order.length}`}
+              />
+            </InlineStack>
+          </Layout.Section>
+        )}
+      </Layout>
+    </Page>
+  );
+}
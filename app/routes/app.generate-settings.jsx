@@ -0,0 +1,214 @@
+import { json } from "@remix-run/node";
+import { useLoaderData, useFetcher } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Card,
+  DataTable,
+  Banner,
+  BlockStack,
+  InlineStack,
+  Text,
+  Badge,
+  Modal,
+  Box,
+} from "@shopify/polaris";
+import { useState, useEffect } from "react";
+import { authenticate } from "../shopify.server";
+import { getAlgoliaConfig } from "../utils/algolia.server";
+import {
+  COLLECTIONS_FACET,
+  applyRankSettings,
+  planRankSettings,
+  replicaName,
+  rankRanking,
+} from "../utils/algolia-settings.server";
+import { fetchRenderedCollections } from "../utils/render.server";
+import { getRankedCollections, storedRankLocation } from "../utils/rank-keys.server";
+import { getShopSettings } from "../utils/shop-settings.server";
+
+// --- Helper: Rendered collections with the namespace and rank key each one is stored under ---
+async function fetchKeyedCollections(admin, shop) {
+  const settings = await getShopSettings({ shop });
+  const collections = await fetchRenderedCollections({ admin, settings });
+  const records = await getRankedCollections({ shop, collectionIds: collections.map((col) => col.id) });
+  return collections.map((col) => {
+    const { namespace, rankKey } = storedRankLocation(records[col.id], col, settings);
+    return { ...col, namespace, rankKey, strategy: records[col.id]?.strategy };
+  });
+}
+
+// --- Loader: Ranked collections and the settings diff against the live Algolia index ---
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const config = getAlgoliaConfig();
+  const collections = (await fetchKeyedCollections(admin, session.shop)).map((col) => ({
+    ...col,
+    replica: config ? replicaName(config.indexName, col.handle) : null,
+    customRanking: rankRanking(col),
+    filter: `${COLLECTIONS_FACET}:"${col.handle}"`,
+  }));
+
+  if (!config) {
+    return json({ configured: false, indexName: null, collections, indexes: [] });
+  }
+
+  try {
+    const indexes = await planRankSettings({ config, collections });
+    return json({ configured: true, indexName: config.indexName, collections, indexes });
+  } catch (error) {
+    console.error("[generate-settings] failed to read Algolia settings:", error);
+    return json({ configured: true, indexName: config.indexName, collections, indexes: [], error: error.message });
+  }
+};
+
+// --- Action: Recompute the plan server-side and apply it ---
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const config = getAlgoliaConfig();
+  if (!config) {
+    return json({ error: "Algolia is not configured" }, { status: 400 });
+  }
+
+  try {
+    const collections = await fetchKeyedCollections(admin, session.shop);
+    const indexes = await planRankSettings({ config, collections });
+    const applied = await applyRankSettings({ config, indexes });
+    return json({
+      success: true,
+      applied,
+      message: applied.length ? `Updated settings on ${applied.length} indices` : "Settings already up to date",
+    });
+  } catch (error) {
+    console.error("[generate-settings] apply failed:", error);
+    return json({ error: error.message || "Failed to apply settings" }, { status: 500 });
+  }
+};
+
+// --- Helper: Render a settings diff as +/- JSON lines ---
+function formatChanges(changes) {
+  return changes
+    .map(({ key, before, after }) =>
+      [
+        before !== null ? `- "${key}": ${JSON.stringify(before, null, 2)}` : null,
+        `+ "${key}": ${JSON.stringify(after, null, 2)}`,
+      ]
+        .filter(Boolean)
+        .join("\n"),
+    )
+    .join("\n");
+}
+
+export default function GenerateSettings() {
+  const { configured, collections, indexes, error } = useLoaderData();
+  const fetcher = useFetcher();
+  const [confirming, setConfirming] = useState(false);
+  const changeCount = indexes.reduce((sum, index) => sum + index.changes.length, 0);
+  const isApplying = fetcher.state !== "idle";
+
+  useEffect(() => {
+    if (fetcher.state === "idle" && fetcher.data) {
+      setConfirming(false);
+    }
+  }, [fetcher.state, fetcher.data]);
+
+  const rows = collections.map((col) => [
+    col.title,
+    col.handle,
+    col.replica || "—",
+    col.customRanking,
+    col.filter,
+  ]);
+
+  return (
+    <Page
+      title="Generate Settings"
+      backAction={{ content: "Collections", url: "/app" }}
+      primaryAction={{
+        content: changeCount ? `Apply ${changeCount} changes` : "Up to date",
+        disabled: !configured || !changeCount || isApplying,
+        onAction: () => setConfirming(true),
+      }}
+    >
+      <Layout>
+        {!configured && (
+          <Layout.Section>
+            <Banner tone="warning" title="Algolia is not configured">
+              <p>Set ALGOLIA_APP_ID, ALGOLIA_ADMIN_API_KEY and ALGOLIA_INDEX_NAME to compare and apply settings.</p>
+            </Banner>
+          </Layout.Section>
+        )}
+        {error && (
+          <Layout.Section>
+            <Banner tone="critical" title="Could not read Algolia settings">
+              <p>{error}</p>
+            </Banner>
+          </Layout.Section>
+        )}
+        {fetcher.data?.error && (
+          <Layout.Section>
+            <Banner tone="critical" title="Apply failed">
+              <p>{fetcher.data.error}</p>
+            </Banner>
+          </Layout.Section>
+        )}
+        {fetcher.data?.success && (
+          <Layout.Section>
+            <Banner tone="success" title={fetcher.data.message} />
+          </Layout.Section>
+        )}
+        <Layout.Section>
+          <Card padding="0">
+            <DataTable
+              columnContentTypes={["text", "text", "text", "text", "text"]}
+              headings={["Collection", "Handle", "Virtual replica", "Custom ranking", "Query filter"]}
+              rows={rows}
+              footerContent={collections.length ? undefined : "No rendered collections yet"}
+            />
+          </Card>
+        </Layout.Section>
+        {indexes.map((index) => (
+          <Layout.Section key={index.indexName}>
+            <Card>
+              <BlockStack gap="200">
+                <InlineStack gap="200" blockAlign="center">
+                  <Text as="h2" variant="headingMd">
+                    {index.indexName}
+                  </Text>
+                  {index.primary && <Badge>Primary</Badge>}
+                  {index.changes.length ? (
+                    <Badge tone="attention">{`${index.changes.length} changes`}</Badge>
+                  ) : (
+                    <Badge tone="success">Up to date</Badge>
+                  )}
+                </InlineStack>
+                {index.changes.length > 0 && (
+                  <Box background="bg-surface-secondary" padding="200" borderRadius="200">
+                    <pre style={{ margin: 0, whiteSpace: "pre-wrap" }}>{formatChanges(index.changes)}</pre>
+                  </Box>
+                )}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        ))}
+      </Layout>
+      <Modal
+        open={confirming}
+        onClose={() => setConfirming(false)}
+        title="Apply Algolia settings?"
+        primaryAction={{
+          content: "Apply",
+          loading: isApplying,
+          onAction: () => fetcher.submit({}, { method: "post" }),
+        }}
+        secondaryActions={[{ content: "Cancel", onAction: () => setConfirming(false) }]}
+      >
+        <Modal.Section>
+          <Text as="p">
+            {`${changeCount} settings will be written to ${indexes.filter((i) => i.changes.length).length} indices.`}
+          </Text>
+        </Modal.Section>
+      </Modal>
+    </Page>
+  );
+}
@@ -0,0 +1,150 @@
+import { json } from "@remix-run/node";
+import { useLoaderData, useSearchParams } from "@remix-run/react";
+import { Page, Layout, Card, DataTable, Badge, Button, BlockStack, Text, Banner } from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { getRenderRun, getRenderRuns } from "../utils/render-runs.server";
+
+// --- Loader: Past runs of one collection, plus the errors of the run picked with `?run=` ---
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+  const collectionId = `gid://shopify/Collection/${params.collectionId}`;
+  const runId = new URL(request.url).searchParams.get("run");
+
+  const runs = await getRenderRuns({ shop: session.shop, collectionId });
+  const selectedRun = runId ? await getRenderRun({ shop: session.shop, id: runId }) : null;
+
+  return json({
+    runs,
+    selectedRun: selectedRun?.collectionId === collectionId ? selectedRun : null,
+    title: runs[0]?.collectionTitle || runs[0]?.collectionHandle || params.collectionId,
+  });
+};
+
+const RUN_STATUS_BADGES = {
+  running: <Badge tone="info">Running</Badge>,
+  succeeded: <Badge tone="success">Succeeded</Badge>,
+  failed: <Badge tone="critical">Failed</Badge>,
+};
+
+const RUN_KIND_LABELS = {
+  render: "Render",
+  cleanup: "Cleanup",
+  migrate: "Key migration",
+};
+
+// --- Helper: Who or what started a run ---
+function formatRunActor(run) {
+  if (run.trigger === "webhook") return "Webhook";
+  if (run.trigger === "schedule") return "Schedule";
+  if (run.staffName) return run.staffName;
+  if (run.staffUserId) return `Staff ${run.staffUserId}`;
+  return "Unknown";
+}
+
+// --- Helper: Run duration as "1m 05s" ---
+function formatDuration(run) {
+  if (!run.finishedAt) return "—";
+  const seconds = Math.round((new Date(run.finishedAt) - new Date(run.startedAt)) / 1000);
+  const minutes = Math.floor(seconds / 60);
+  return minutes ? `${minutes}m ${String(seconds % 60).padStart(2, "0")}s` : `${seconds}s`;
+}
+
+export default function CollectionHistory() {
+  const { runs, selectedRun, title } = useLoaderData();
+  const [, setSearchParams] = useSearchParams();
+
+  const rows = runs.map((run) => [
+    new Date(run.startedAt).toLocaleString(),
+    RUN_KIND_LABELS[run.kind] || run.kind,
+    formatRunActor(run),
+    <span key={`${run.id}-status`}>{RUN_STATUS_BADGES[run.status]}</span>,
+    formatDuration(run),
+    run.success,
+    run.unchanged,
+    run.failed,
+    run.removed,
+    run.rankKey ? `${run.namespace}.${run.rankKey}` : "—",
+    <Button
+      key={`${run.id}-details`}
+      variant="plain"
+      pressed={selectedRun?.id === run.id}
+      onClick={() => setSearchParams({ run: run.id })}
+    >
+      Details
+    </Button>,
+  ]);
+
+  const errorRows = (selectedRun?.errors || []).map((error) => [
+    error.title || "—",
+    error.productId,
+    error.error,
+  ]);
+
+  return (
+    <Page
+      title={`History: ${title}`}
+      backAction={{ content: "Render history", url: "/app/history" }}
+    >
+      <Layout>
+        <Layout.Section>
+          <Card padding="0">
+            <DataTable
+              columnContentTypes={[
+                "text",
+                "text",
+                "text",
+                "text",
+                "text",
+                "numeric",
+                "numeric",
+                "numeric",
+                "numeric",
+                "text",
+                "text",
+              ]}
+              headings={[
+                "Started",
+                "Kind",
+                "Started by",
+                "Status",
+                "Duration",
+                "Updated",
+                "Unchanged",
+                "Failed",
+                "Removed",
+                "Key",
+                "",
+              ]}
+              rows={rows}
+              footerContent={runs.length ? undefined : "No runs recorded for this collection"}
+            />
+          </Card>
+        </Layout.Section>
+        {selectedRun && (
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">
+                  {`Run of ${new Date(selectedRun.startedAt).toLocaleString()}`}
+                </Text>
+                <Banner tone={selectedRun.status === "failed" ? "critical" : selectedRun.failed ? "warning" : "success"}>
+                  <p>{selectedRun.message || "No result recorded"}</p>
+                </Banner>
+                <Text as="p" tone="subdued">
+                  {`${selectedRun.total} products processed${selectedRun.mode ? ` in ${selectedRun.mode} mode` : ""}, job ${selectedRun.jobId}`}
+                </Text>
+                {errorRows.length > 0 && (
+                  <DataTable
+                    columnContentTypes={["text", "text", "text"]}
+                    headings={["Product", "ID", "Error"]}
+                    rows={errorRows}
+                  />
+                )}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        )}
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,67 @@
+import { json } from "@remix-run/node";
+import { useLoaderData } from "@remix-run/react";
+import { Page, Layout, Card, DataTable, Badge, Button, Text } from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { getRenderRunSummaries } from "../utils/render-runs.server";
+
+// --- Loader: Every collection that has render runs, most recently run first ---
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const summaries = await getRenderRunSummaries({ shop: session.shop });
+
+  return json({
+    collections: summaries.map((summary) => ({
+      ...summary,
+      legacyId: summary.collectionId.split("/").pop(),
+    })),
+  });
+};
+
+const RUN_STATUS_BADGES = {
+  running: <Badge tone="info">Running</Badge>,
+  succeeded: <Badge tone="success">Succeeded</Badge>,
+  failed: <Badge tone="critical">Failed</Badge>,
+};
+
+// --- Helper: Who or what started a run ---
+function formatRunActor(run) {
+  if (run.trigger === "webhook") return "Webhook";
+  if (run.trigger === "schedule") return "Schedule";
+  if (run.staffName) return run.staffName;
+  if (run.staffUserId) return `Staff ${run.staffUserId}`;
+  return "Unknown";
+}
+
+export default function History() {
+  const { collections } = useLoaderData();
+
+  const rows = collections.map(({ legacyId, runCount, lastRun }) => [
+    <Button key={`${legacyId}-title`} variant="plain" url={`/app/history/${legacyId}`}>
+      {lastRun.collectionTitle || lastRun.collectionHandle}
+    </Button>,
+    runCount,
+    new Date(lastRun.startedAt).toLocaleString(),
+    formatRunActor(lastRun),
+    <span key={`${legacyId}-status`}>{RUN_STATUS_BADGES[lastRun.status]}</span>,
+    <Text key={`${legacyId}-message`} as="span" variant="bodySm" tone="subdued">
+      {lastRun.message}
+    </Text>,
+  ]);
+
+  return (
+    <Page title="Render history" backAction={{ content: "Collections", url: "/app" }}>
+      <Layout>
+        <Layout.Section>
+          <Card padding="0">
+            <DataTable
+              columnContentTypes={["text", "numeric", "text", "text", "text", "text"]}
+              headings={["Collection", "Runs", "Last run", "Started by", "Status", "Result"]}
+              rows={rows}
+              footerContent={collections.length ? undefined : "No renders yet"}
+            />
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,14 @@
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { getLatestRenderJobs } from "../utils/render-jobs.server";
+
+// --- Loader: Job status for the Collections page (`?collectionId=...` repeated) ---
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const collectionIds = url.searchParams.getAll("collectionId");
+
+  const jobs = await getLatestRenderJobs({ shop: session.shop, collectionIds });
+
+  return json({ jobs });
+};
@@ -0,0 +1,210 @@
+import { json, redirect } from "@remix-run/node";
+import { useActionData, useLoaderData, useNavigation, useSearchParams, useSubmit } from "@remix-run/react";
+import { Page, Layout, Card, DataTable, Badge, Banner, InlineStack, Select, Tabs, Text } from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { fetchCollection, previewCollectionRanks } from "../utils/render.server";
+import { enqueueRenderJob } from "../utils/render-jobs.server";
+import { staffFromSession } from "../utils/render-runs.server";
+import { setRankStrategy } from "../utils/rank-keys.server";
+import { RANK_CHANGE, RANK_STRATEGIES } from "../utils/rank-plan.server";
+import { SettingsError, getShopSettings } from "../utils/shop-settings.server";
+
+// Rows sent to the table at once; the counts above it always cover every product.
+const PREVIEW_ROW_LIMIT = 500;
+
+const TABS = [
+  { id: "changes", content: "Changes" },
+  { id: "all", content: "All products" },
+];
+
+// --- Loader: Current vs. new rank of every product, without writing anything ---
+export const loader = async ({ request, params }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const collectionId = `gid://shopify/Collection/${params.collectionId}`;
+  const view = new URL(request.url).searchParams.get("view") === "all" ? "all" : "changes";
+
+  try {
+    const preview = await previewCollectionRanks({ admin, shop: session.shop, collectionId });
+    const visible =
+      view === "changes" ? preview.rows.filter((row) => row.change !== RANK_CHANGE.UNCHANGED) : preview.rows;
+    return json({
+      collection: {
+        id: preview.collection.id,
+        title: preview.collection.title,
+        handle: preview.collection.handle,
+      },
+      rankKey: `${preview.namespace}.${preview.rankKey}`,
+      strategy: preview.strategy,
+      strategies: Object.entries(RANK_STRATEGIES).map(([value, { label }]) => ({ label, value })),
+      migrating: preview.migrating,
+      view,
+      rows: visible.slice(0, PREVIEW_ROW_LIMIT),
+      visibleCount: visible.length,
+      counts: preview.counts,
+      hash: preview.hash,
+    });
+  } catch (error) {
+    console.error("[preview] failed:", error);
+    return json({ error: error.message || "Preview failed" }, { status: error.status || 500 });
+  }
+};
+
+// --- Action: Change the numbering strategy, or queue a render that writes only the changed ranks ---
+export const action = async ({ request, params }) => {
+  const { admin, session, sessionToken } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const collectionId = `gid://shopify/Collection/${params.collectionId}`;
+
+  // --- The loader runs again after this, so the preview shows the new numbering ---
+  if (formData.get("intent") === "strategy") {
+    try {
+      const collection = await fetchCollection({ admin, collectionId });
+      if (!collection) {
+        return json({ error: "Collection not found" }, { status: 404 });
+      }
+      const settings = await getShopSettings({ shop: session.shop });
+      await setRankStrategy({ shop: session.shop, collection, settings, strategy: formData.get("strategy") });
+      return json({ success: true });
+    } catch (error) {
+      if (error instanceof SettingsError) {
+        return json({ error: error.message }, { status: 400 });
+      }
+      console.error("[preview] strategy change failed:", error);
+      return json({ error: error.message || "An unexpected error occurred" }, { status: 500 });
+    }
+  }
+
+  // The render plans again when it runs, so refuse if the order or stored ranks moved since the preview.
+  try {
+    const preview = await previewCollectionRanks({ admin, shop: session.shop, collectionId });
+    if (preview.hash !== formData.get("hash")) {
+      return json(
+        { error: "The collection changed since this preview was built. Review the new preview and apply again." },
+        { status: 409 },
+      );
+    }
+  } catch (error) {
+    console.error("[preview] apply check failed:", error);
+    return json({ error: error.message || "An unexpected error occurred" }, { status: error.status || 500 });
+  }
+
+  await enqueueRenderJob({
+    shop: session.shop,
+    collectionId,
+    collectionHandle: formData.get("collectionHandle"),
+    requestedBy: staffFromSession({ session, sessionToken }),
+    changedOnly: true,
+  });
+
+  return redirect("/app");
+};
+
+const CHANGE_BADGES = {
+  new: <Badge tone="info">New</Badge>,
+  moved: <Badge tone="attention">Moved</Badge>,
+  unchanged: <Badge>Unchanged</Badge>,
+  removed: <Badge tone="critical">Removed</Badge>,
+};
+
+export default function Preview() {
+  const { collection, rankKey, strategy, strategies, migrating, view, rows, visibleCount, counts, hash, error } =
+    useLoaderData();
+  const actionData = useActionData();
+  const submit = useSubmit();
+  const navigation = useNavigation();
+  const [, setSearchParams] = useSearchParams();
+
+  if (error) {
+    return (
+      <Page title="Preview" backAction={{ content: "Collections", url: "/app" }}>
+        <Banner tone="critical" title="Could not build the preview">
+          <p>{error}</p>
+        </Banner>
+      </Page>
+    );
+  }
+
+  const changeCount = counts.new + counts.moved + counts.removed;
+
+  const tableRows = rows.map((row) => [
+    row.title,
+    row.oldRank ?? "—",
+    row.newRank ?? "—",
+    <span key={`${row.productId}-change`}>{CHANGE_BADGES[row.change]}</span>,
+  ]);
+
+  return (
+    <Page
+      title={`Preview: ${collection.title}`}
+      subtitle={rankKey}
+      backAction={{ content: "Collections", url: "/app" }}
+      primaryAction={{
+        content: changeCount ? `Apply ${changeCount} changes` : "No changes",
+        disabled: !changeCount,
+        loading: navigation.state === "submitting" && !navigation.formData?.get("intent"),
+        onAction: () => submit({ collectionHandle: collection.handle, hash }, { method: "post" }),
+      }}
+    >
+      <Layout>
+        {actionData?.error && (
+          <Layout.Section>
+            <Banner tone="critical">
+              <p>{actionData.error}</p>
+            </Banner>
+          </Layout.Section>
+        )}
+        <Layout.Section>
+          <Card>
+            <Select
+              label="Numbering"
+              options={strategies}
+              value={strategy}
+              disabled={navigation.state !== "idle"}
+              onChange={(value) => submit({ intent: "strategy", strategy: value }, { method: "post" })}
+              helpText="How positions become rank values. Changing it rewrites every rank on the next render."
+            />
+          </Card>
+        </Layout.Section>
+        {migrating && (
+          <Layout.Section>
+            <Banner tone="warning">
+              <p>{`The rank key changed and ranks move to ${rankKey}, so every product is written again.`}</p>
+            </Banner>
+          </Layout.Section>
+        )}
+        <Layout.Section>
+          <InlineStack gap="200">
+            <Badge tone="info">{`${counts.new} new`}</Badge>
+            <Badge tone="attention">{`${counts.moved} moved`}</Badge>
+            <Badge tone="critical">{`${counts.removed} removed`}</Badge>
+            <Badge>{`${counts.unchanged} unchanged`}</Badge>
+          </InlineStack>
+        </Layout.Section>
+        <Layout.Section>
+          <Card padding="0">
+            <Tabs
+              tabs={TABS}
+              selected={TABS.findIndex((tab) => tab.id === view)}
+              onSelect={(index) => setSearchParams({ view: TABS[index].id })}
+            >
+              <DataTable
+                columnContentTypes={["text", "numeric", "numeric", "text"]}
+                headings={["Product", "Current rank", "New rank", "Change"]}
+                rows={tableRows}
+                footerContent={
+                  visibleCount > rows.length ? (
+                    <Text as="span" tone="subdued">
+                      {`Showing ${rows.length} of ${visibleCount} products`}
+                    </Text>
+                  ) : visibleCount ? undefined : (
+                    "Nothing to change"
+                  )
+                }
+              />
+            </Tabs>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,146 @@
+import { json, redirect } from "@remix-run/node";
+import { useLoaderData, useFetcher, useNavigation, useSearchParams } from "@remix-run/react";
+import { Page, Layout, Card, DataTable, Badge, Banner, Button } from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { enqueueRenderJob } from "../utils/render-jobs.server";
+import { staffFromSession } from "../utils/render-runs.server";
+import { getProductRanks } from "../utils/product-ranks.server";
+import { getShopSettings } from "../utils/shop-settings.server";
+
+// --- Loader: The product's position and stored rank in each of its collections (`?id=` from the admin link) ---
+// Each `?locate=` collection has the product's position looked up past its leading products.
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const { searchParams } = new URL(request.url);
+  const id = searchParams.get("id");
+  if (!id) {
+    return redirect("/app");
+  }
+  const productId = id.startsWith("gid://") ? id : `gid://shopify/Product/${id}`;
+
+  const settings = await getShopSettings({ shop: session.shop });
+  const ranks = await getProductRanks({
+    admin,
+    shop: session.shop,
+    productId,
+    settings,
+    locate: searchParams.getAll("locate"),
+  });
+  if (!ranks) {
+    return json({ error: "Product not found" }, { status: 404 });
+  }
+  return json(ranks);
+};
+
+// --- Action: Re-render one of the product's collections ---
+export const action = async ({ request }) => {
+  const { session, sessionToken } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const collectionHandle = formData.get("collectionHandle");
+
+  try {
+    await enqueueRenderJob({
+      shop: session.shop,
+      collectionId: formData.get("collectionId"),
+      collectionHandle,
+      requestedBy: staffFromSession({ session, sessionToken }),
+    });
+    return json({ success: true, message: `Render queued for ${collectionHandle}` });
+  } catch (error) {
+    console.error("[product] action error:", error);
+    return json({ error: error.message || "An unexpected error occurred" }, { status: 500 });
+  }
+};
+
+const STATUS_BADGES = {
+  ok: <Badge tone="success">In sync</Badge>,
+  mismatch: <Badge tone="warning">Disagrees</Badge>,
+  missing: <Badge>No rank</Badge>,
+  unknown: <Badge tone="attention">Position unknown</Badge>,
+};
+
+export default function ProductRanks() {
+  const { product, rows, error } = useLoaderData();
+  const fetcher = useFetcher();
+  const navigation = useNavigation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const isBusy = fetcher.state !== "idle";
+  const isLocating = navigation.state === "loading";
+
+  // --- Helper: Position column value, or a button that pages the collection to find it ---
+  const positionCell = (row) => {
+    if (row.position !== null) return `${row.position} of ${row.total}`;
+    if (row.located) return "Not found";
+    return (
+      <Button
+        key={`${row.collectionId}-locate`}
+        variant="plain"
+        disabled={isLocating}
+        onClick={() => {
+          const params = new URLSearchParams(searchParams);
+          params.append("locate", row.collectionId);
+          setSearchParams(params);
+        }}
+      >
+        Find position
+      </Button>
+    );
+  };
+
+  if (error) {
+    return (
+      <Page title="Collection ranks" backAction={{ content: "Collections", url: "/app" }}>
+        <Banner tone="critical" title={error} />
+      </Page>
+    );
+  }
+
+  const tableRows = rows.map((row) => [
+    row.title,
+    row.rankKey,
+    positionCell(row),
+    row.storedRank ?? "—",
+    row.expectedRank ?? "—",
+    <span key={`${row.collectionId}-status`}>{STATUS_BADGES[row.status]}</span>,
+    <Button
+      key={`${row.collectionId}-render`}
+      size="slim"
+      disabled={isBusy}
+      loading={isBusy && fetcher.formData?.get("collectionId") === row.collectionId}
+      onClick={() =>
+        fetcher.submit({ collectionId: row.collectionId, collectionHandle: row.handle }, { method: "post" })
+      }
+    >
+      Re-render
+    </Button>,
+  ]);
+
+  return (
+    <Page title={`Collection ranks: ${product.title}`} backAction={{ content: "Collections", url: "/app" }}>
+      <Layout>
+        {fetcher.data?.error && (
+          <Layout.Section>
+            <Banner tone="critical">
+              <p>{fetcher.data.error}</p>
+            </Banner>
+          </Layout.Section>
+        )}
+        {fetcher.data?.success && (
+          <Layout.Section>
+            <Banner tone="success" title={fetcher.data.message} />
+          </Layout.Section>
+        )}
+        <Layout.Section>
+          <Card padding="0">
+            <DataTable
+              columnContentTypes={["text", "text", "numeric", "numeric", "numeric", "text", "text"]}
+              headings={["Collection", "Rank key", "Position", "Stored rank", "Expected rank", "Status", ""]}
+              rows={tableRows}
+              footerContent={rows.length ? undefined : "This product is in no collection"}
+            />
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,194 @@
+import { json, redirect } from "@remix-run/node";
+import { useLoaderData, useFetcher } from "@remix-run/react";
+import { Page, Layout, Card, Banner, BlockStack, Button, InlineStack, Text } from "@shopify/polaris";
+import { useEffect, useState } from "react";
+import { authenticate } from "../shopify.server";
+import { JobProgress, RENDER_STATE_BADGES, isActiveJob, useJobPolling } from "../components/render-status";
+import { enqueueRenderJob, getLatestRenderJobs, serializeRenderJob } from "../utils/render-jobs.server";
+import { staffFromSession } from "../utils/render-runs.server";
+import { getRankedCollections, storedRankLocation } from "../utils/rank-keys.server";
+import { fetchCollections } from "../utils/render.server";
+import { annotateRenderState } from "../utils/render-state.server";
+import { getShopSettings } from "../utils/shop-settings.server";
+
+// --- Helper: Collection GIDs passed by the admin link (`id` from a details page, `ids` from a selection) ---
+function linkedCollectionIds(searchParams) {
+  const raw = [...searchParams.getAll("id"), ...searchParams.getAll("ids"), ...searchParams.getAll("ids[]")];
+  const ids = raw.filter(Boolean).map((id) => (id.startsWith("gid://") ? id : `gid://shopify/Collection/${id}`));
+  return [...new Set(ids)];
+}
+
+// --- Loader: Status summary of the collections the admin link was opened on ---
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const collectionIds = linkedCollectionIds(new URL(request.url).searchParams);
+  if (!collectionIds.length) {
+    return redirect("/app");
+  }
+
+  const settings = await getShopSettings({ shop: session.shop });
+  const query = collectionIds.map((id) => `id:${id.split("/").pop()}`).join(" OR ");
+  const collections = await fetchCollections({ admin, query, settings });
+  await annotateRenderState({ admin, shop: session.shop, collections });
+
+  const ids = collections.map((col) => col.id);
+  const [jobs, records] = await Promise.all([
+    getLatestRenderJobs({ shop: session.shop, collectionIds: ids }),
+    getRankedCollections({ shop: session.shop, collectionIds: ids }),
+  ]);
+  for (const col of collections) {
+    const { namespace, rankKey } = storedRankLocation(records[col.id], col, settings);
+    col.rankKey = `${namespace}.${rankKey}`;
+  }
+
+  return json({ collections, jobs, missing: collectionIds.length - collections.length });
+};
+
+// --- Action: Queue a render of every linked collection ---
+export const action = async ({ request }) => {
+  const { session, sessionToken } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const handles = formData.getAll("collectionHandle");
+  const requestedBy = staffFromSession({ session, sessionToken });
+
+  try {
+    const jobs = [];
+    for (const [i, collectionId] of formData.getAll("collectionId").entries()) {
+      const job = await enqueueRenderJob({
+        shop: session.shop,
+        collectionId,
+        collectionHandle: handles[i],
+        requestedBy,
+      });
+      jobs.push(serializeRenderJob(job));
+    }
+    return json({
+      success: true,
+      jobs,
+      message: `Render queued for ${jobs.length} collection${jobs.length === 1 ? "" : "s"}`,
+    });
+  } catch (error) {
+    console.error("[render-link] action error:", error);
+    return json({ error: error.message || "An unexpected error occurred" }, { status: 500 });
+  }
+};
+
+// --- Helper: Latest job of a collection as a one-line status ---
+function JobStatus({ job }) {
+  if (!job) return null;
+  if (isActiveJob(job)) {
+    return (
+      <BlockStack gap="100">
+        <JobProgress job={job} />
+      </BlockStack>
+    );
+  }
+  return (
+    <Text as="span" variant="bodySm" tone={job.status === "failed" ? "critical" : "subdued"}>
+      {job.message}
+    </Text>
+  );
+}
+
+export default function RenderLink() {
+  const { collections, jobs: initialJobs, missing } = useLoaderData();
+  const fetcher = useFetcher();
+  const statusFetcher = useFetcher();
+  const [jobs, setJobs] = useState(initialJobs);
+  const isSubmitting = fetcher.state !== "idle";
+
+  // --- Track the jobs the action queued, then the polled status ---
+  useEffect(() => {
+    if (fetcher.state === "idle" && fetcher.data?.jobs) {
+      setJobs((current) => ({
+        ...current,
+        ...Object.fromEntries(fetcher.data.jobs.map((job) => [job.collectionId, job])),
+      }));
+    }
+  }, [fetcher.state, fetcher.data]);
+
+  useEffect(() => {
+    if (statusFetcher.data?.jobs) {
+      setJobs((current) => ({ ...current, ...statusFetcher.data.jobs }));
+    }
+  }, [statusFetcher.data]);
+
+  const hasActiveJobs = useJobPolling({ statusFetcher, jobs, collections });
+
+  const renderAll = () => {
+    const formData = new FormData();
+    for (const col of collections) {
+      formData.append("collectionId", col.id);
+      formData.append("collectionHandle", col.handle);
+    }
+    fetcher.submit(formData, { method: "post" });
+  };
+
+  return (
+    <Page
+      title={collections.length === 1 ? `Render ranks: ${collections[0].title}` : "Render ranks"}
+      backAction={{ content: "Collections", url: "/app" }}
+      primaryAction={{
+        content: collections.length === 1 ? "Render" : `Render ${collections.length} collections`,
+        loading: isSubmitting,
+        disabled: isSubmitting || hasActiveJobs || !collections.length,
+        onAction: renderAll,
+      }}
+    >
+      <Layout>
+        {fetcher.data?.error && (
+          <Layout.Section>
+            <Banner tone="critical">
+              <p>{fetcher.data.error}</p>
+            </Banner>
+          </Layout.Section>
+        )}
+        {fetcher.data?.success && (
+          <Layout.Section>
+            <Banner tone="success" title={fetcher.data.message} />
+          </Layout.Section>
+        )}
+        {missing > 0 && (
+          <Layout.Section>
+            <Banner
+              tone="warning"
+              title={`${missing} linked collection${missing === 1 ? " was" : "s were"} not found`}
+            />
+          </Layout.Section>
+        )}
+        {collections.map((col) => {
+          const collectionIdShort = col.id.split("/").pop();
+          return (
+            <Layout.Section key={col.id}>
+              <Card>
+                <BlockStack gap="200">
+                  <InlineStack gap="200" blockAlign="center">
+                    <Text as="h2" variant="headingMd">
+                      {col.title}
+                    </Text>
+                    {RENDER_STATE_BADGES[col.renderState]}
+                  </InlineStack>
+                  <Text as="p" tone="subdued">
+                    {`${col.totalProducts} products, ranks in ${col.rankKey}`}
+                  </Text>
+                  <Text as="p" tone="subdued">
+                    {col.renderedAt ? `Last rendered ${new Date(col.renderedAt).toLocaleString()}` : "Never rendered"}
+                  </Text>
+                  <JobStatus job={jobs[col.id]} />
+                  <InlineStack gap="200">
+                    <Button variant="plain" url={`/app/preview/${collectionIdShort}`}>
+                      Preview
+                    </Button>
+                    <Button variant="plain" url={`/app/history/${collectionIdShort}`}>
+                      History
+                    </Button>
+                  </InlineStack>
+                </BlockStack>
+              </Card>
+            </Layout.Section>
+          );
+        })}
+      </Layout>
+    </Page>
+  );
+}
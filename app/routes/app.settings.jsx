@@ -0,0 +1,190 @@
+import { json } from "@remix-run/node";
+import { useLoaderData, useFetcher } from "@remix-run/react";
+import { Page, Layout, Card, Banner, BlockStack, Button, FormLayout, Select, Text, TextField } from "@shopify/polaris";
+import { useState } from "react";
+import { authenticate } from "../shopify.server";
+import { JOB_KIND, enqueueMoveRenderedAtJob, enqueueRenderJob } from "../utils/render-jobs.server";
+import { staffFromSession } from "../utils/render-runs.server";
+import { getOutdatedRankedCollections } from "../utils/rank-keys.server";
+import { RANK_VALUE_TYPES, SettingsError, getShopSettings, saveShopSettings } from "../utils/shop-settings.server";
+
+// --- Loader: The shop's metafield settings and how many ranked collections don't match them ---
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const settings = await getShopSettings({ shop: session.shop });
+  const outdated = await getOutdatedRankedCollections({ shop: session.shop, settings });
+
+  return json({ settings, outdatedCount: outdated.length, valueTypes: RANK_VALUE_TYPES });
+};
+
+// --- Action: Save the settings, or queue a migration for every outdated collection ---
+export const action = async ({ request }) => {
+  const { session, sessionToken } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const shop = session.shop;
+
+  try {
+    if (intent === "save") {
+      const previous = await getShopSettings({ shop });
+      const settings = await saveShopSettings({
+        shop,
+        settings: {
+          namespace: formData.get("namespace")?.trim(),
+          keyTemplate: formData.get("keyTemplate")?.trim(),
+          valueType: formData.get("valueType"),
+          renderedAtKey: formData.get("renderedAtKey")?.trim(),
+        },
+      });
+
+      // rendered_at is one value per collection, so a job moves it now; rank keys wait for the merchant.
+      const move =
+        previous.namespace !== settings.namespace || previous.renderedAtKey !== settings.renderedAtKey
+          ? await enqueueMoveRenderedAtJob({
+              shop,
+              from: previous,
+              requestedBy: staffFromSession({ session, sessionToken }),
+            })
+          : null;
+      const outdated = await getOutdatedRankedCollections({ shop, settings });
+      return json({
+        success: true,
+        message: `Settings saved${move ? ", moving rendered_at in the background" : ""}${
+          outdated.length ? `; ${outdated.length} collections still use the old key` : ""
+        }`,
+      });
+    }
+
+    if (intent === "migrate") {
+      const settings = await getShopSettings({ shop });
+      const outdated = await getOutdatedRankedCollections({ shop, settings });
+      const requestedBy = staffFromSession({ session, sessionToken });
+      for (const record of outdated) {
+        await enqueueRenderJob({
+          shop,
+          collectionId: record.collectionId,
+          collectionHandle: record.handle,
+          kind: JOB_KIND.MIGRATE,
+          requestedBy,
+        });
+      }
+      return json({ success: true, message: `Migration queued for ${outdated.length} collections` });
+    }
+
+    return json({ error: `Unknown intent ${intent}` }, { status: 400 });
+  } catch (error) {
+    if (error instanceof SettingsError) {
+      return json({ error: error.message, field: error.field }, { status: 400 });
+    }
+    console.error("[settings] action error:", error);
+    return json({ error: error.message || "An unexpected error occurred" }, { status: 500 });
+  }
+};
+
+// --- Helper: The key a template gives an example collection, for the help text ---
+function exampleKey(template) {
+  return template.replaceAll("{handle}", "summer-sale").replaceAll("{id}", "123456789");
+}
+
+export default function Settings() {
+  const { settings, outdatedCount, valueTypes } = useLoaderData();
+  const fetcher = useFetcher();
+  const isBusy = fetcher.state !== "idle";
+  const [namespace, setNamespace] = useState(settings.namespace);
+  const [keyTemplate, setKeyTemplate] = useState(settings.keyTemplate);
+  const [valueType, setValueType] = useState(settings.valueType);
+  const [renderedAtKey, setRenderedAtKey] = useState(settings.renderedAtKey);
+  const fieldError = (field) => (fetcher.data?.field === field ? fetcher.data.error : undefined);
+
+  return (
+    <Page title="Settings" backAction={{ content: "Collections", url: "/app" }}>
+      <Layout>
+        {fetcher.data?.error && (
+          <Layout.Section>
+            <Banner tone="critical">
+              <p>{fetcher.data.error}</p>
+            </Banner>
+          </Layout.Section>
+        )}
+        {fetcher.data?.success && (
+          <Layout.Section>
+            <Banner tone="success" title={fetcher.data.message} />
+          </Layout.Section>
+        )}
+        {outdatedCount > 0 && (
+          <Layout.Section>
+            <Banner
+              tone="warning"
+              title={`${outdatedCount} ranked collections use a different namespace, key or value type`}
+              action={{
+                content: `Migrate ${outdatedCount} collections`,
+                loading: isBusy && fetcher.formData?.get("intent") === "migrate",
+                disabled: isBusy,
+                onAction: () => fetcher.submit({ intent: "migrate" }, { method: "post" }),
+              }}
+            >
+              <p>
+                Renders keep writing their ranks where they are until they are migrated. A migration copies
+                every rank to the new metafield, then removes the old one and its definition.
+              </p>
+            </Banner>
+          </Layout.Section>
+        )}
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text as="h2" variant="headingMd">
+                Rank metafields
+              </Text>
+              <FormLayout>
+                <TextField
+                  label="Namespace"
+                  value={namespace}
+                  onChange={setNamespace}
+                  error={fieldError("namespace")}
+                  autoComplete="off"
+                />
+                <TextField
+                  label="Key template"
+                  value={keyTemplate}
+                  onChange={setKeyTemplate}
+                  error={fieldError("keyTemplate")}
+                  helpText={`{handle} and {id} are replaced per collection, e.g. ${namespace}.${exampleKey(keyTemplate)}`}
+                  autoComplete="off"
+                />
+                <Select
+                  label="Value type"
+                  options={valueTypes.map((type) => ({ label: type, value: type }))}
+                  value={valueType}
+                  onChange={setValueType}
+                  error={fieldError("valueType")}
+                />
+                <TextField
+                  label="Rendered-at key"
+                  value={renderedAtKey}
+                  onChange={setRenderedAtKey}
+                  error={fieldError("renderedAtKey")}
+                  helpText="Collection metafield holding the time of the last render, in the same namespace"
+                  autoComplete="off"
+                />
+                <Button
+                  variant="primary"
+                  loading={isBusy && fetcher.formData?.get("intent") === "save"}
+                  disabled={isBusy}
+                  onClick={() =>
+                    fetcher.submit(
+                      { intent: "save", namespace, keyTemplate, valueType, renderedAtKey },
+                      { method: "post" },
+                    )
+                  }
+                >
+                  Save
+                </Button>
+              </FormLayout>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,247 @@
+import { json } from "@remix-run/node";
+import { useLoaderData, useFetcher } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Card,
+  DataTable,
+  Badge,
+  Banner,
+  BlockStack,
+  Button,
+  FormLayout,
+  InlineStack,
+  Select,
+  Text,
+  TextField,
+} from "@shopify/polaris";
+import { useState, useEffect } from "react";
+import { authenticate } from "../shopify.server";
+import { fetchCollection, fetchCollections } from "../utils/render.server";
+import { CronError } from "../utils/cron.server";
+import {
+  SCHEDULE_PRESETS,
+  createSchedule,
+  deleteSchedule,
+  getSchedules,
+  setScheduleEnabled,
+} from "../utils/schedules.server";
+
+// --- Loader: The shop's render schedules and the collections a schedule can target ---
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const [schedules, collections] = await Promise.all([
+    getSchedules({ shop: session.shop }),
+    fetchCollections({ admin }),
+  ]);
+
+  return json({
+    schedules,
+    collections: collections.map((col) => ({ id: col.id, title: col.title, handle: col.handle })),
+    presets: SCHEDULE_PRESETS,
+  });
+};
+
+// --- Action: Create, pause/resume or delete a schedule ---
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const shop = session.shop;
+
+  try {
+    if (intent === "create") {
+      const collectionId = formData.get("collectionId");
+      let collection = null;
+      if (collectionId) {
+        collection = await fetchCollection({ admin, collectionId });
+        if (!collection) {
+          return json({ error: "Collection not found" }, { status: 404 });
+        }
+      }
+      const schedule = await createSchedule({
+        shop,
+        collection,
+        interval: formData.get("interval"),
+        cron: formData.get("cron"),
+      });
+      return json({
+        success: true,
+        message: `Schedule added, next run ${schedule.nextRunAt.toISOString()}`,
+      });
+    }
+
+    if (intent === "toggle") {
+      const enabled = formData.get("enabled") === "true";
+      await setScheduleEnabled({ shop, id: formData.get("id"), enabled });
+      return json({ success: true, message: enabled ? "Schedule resumed" : "Schedule paused" });
+    }
+
+    if (intent === "delete") {
+      await deleteSchedule({ shop, id: formData.get("id") });
+      return json({ success: true, message: "Schedule deleted" });
+    }
+
+    return json({ error: `Unknown intent ${intent}` }, { status: 400 });
+  } catch (error) {
+    if (error instanceof CronError) {
+      return json({ error: error.message }, { status: 400 });
+    }
+    console.error("[tools] action error:", error);
+    return json({ error: error.message || "An unexpected error occurred" }, { status: 500 });
+  }
+};
+
+const INTERVAL_OPTIONS = [
+  { label: "Hourly", value: "hourly" },
+  { label: "Nightly (03:00 UTC)", value: "nightly" },
+  { label: "Custom cron", value: "custom" },
+];
+
+// --- Helper: Date column value, or a dash ---
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : "—";
+}
+
+export default function Tools() {
+  const { schedules, collections, presets } = useLoaderData();
+  const fetcher = useFetcher();
+  const isBusy = fetcher.state !== "idle";
+  const [collectionId, setCollectionId] = useState("");
+  const [intervalChoice, setIntervalChoice] = useState("nightly");
+  const [cron, setCron] = useState("");
+
+  // --- Clear the custom expression once the action succeeded ---
+  useEffect(() => {
+    if (fetcher.state === "idle" && fetcher.data?.success) {
+      setCron("");
+    }
+  }, [fetcher.state, fetcher.data]);
+
+  const targetOptions = [
+    { label: "All collections", value: "" },
+    ...collections.map((col) => ({ label: col.title, value: col.id })),
+  ];
+
+  const rows = schedules.map((schedule) => [
+    schedule.collectionTitle || schedule.collectionHandle || "All collections",
+    <BlockStack key={`${schedule.id}-interval`} gap="050">
+      <Text as="span">{INTERVAL_OPTIONS.find((option) => option.value === schedule.interval)?.label}</Text>
+      <Text as="span" variant="bodySm" tone="subdued">
+        {schedule.cron}
+      </Text>
+    </BlockStack>,
+    <BlockStack key={`${schedule.id}-last`} gap="050">
+      <Text as="span">{formatDate(schedule.lastRunAt)}</Text>
+      {schedule.lastMessage && (
+        <Text as="span" variant="bodySm" tone={schedule.lastStatus === "failed" ? "critical" : "subdued"}>
+          {schedule.lastMessage}
+        </Text>
+      )}
+    </BlockStack>,
+    schedule.enabled ? formatDate(schedule.nextRunAt) : "—",
+    schedule.enabled ? (
+      <Badge key={`${schedule.id}-status`} tone="success">
+        Active
+      </Badge>
+    ) : (
+      <Badge key={`${schedule.id}-status`}>Paused</Badge>
+    ),
+    <InlineStack key={`${schedule.id}-actions`} gap="200">
+      <Button
+        variant="plain"
+        disabled={isBusy}
+        onClick={() =>
+          fetcher.submit(
+            { intent: "toggle", id: schedule.id, enabled: String(!schedule.enabled) },
+            { method: "post" },
+          )
+        }
+      >
+        {schedule.enabled ? "Pause" : "Resume"}
+      </Button>
+      <Button
+        variant="plain"
+        tone="critical"
+        disabled={isBusy}
+        onClick={() => fetcher.submit({ intent: "delete", id: schedule.id }, { method: "post" })}
+      >
+        Delete
+      </Button>
+    </InlineStack>,
+  ]);
+
+  return (
+    <Page title="Tools" backAction={{ content: "Collections", url: "/app" }}>
+      <Layout>
+        {fetcher.data?.error && (
+          <Layout.Section>
+            <Banner tone="critical">
+              <p>{fetcher.data.error}</p>
+            </Banner>
+          </Layout.Section>
+        )}
+        {fetcher.data?.success && (
+          <Layout.Section>
+            <Banner tone="success" title={fetcher.data.message} />
+          </Layout.Section>
+        )}
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text as="h2" variant="headingMd">
+                Scheduled renders
+              </Text>
+              <FormLayout>
+                <FormLayout.Group>
+                  <Select label="Collection" options={targetOptions} value={collectionId} onChange={setCollectionId} />
+                  <Select
+                    label="Interval"
+                    options={INTERVAL_OPTIONS}
+                    value={intervalChoice}
+                    onChange={setIntervalChoice}
+                  />
+                  {intervalChoice === "custom" ? (
+                    <TextField
+                      label="Cron expression"
+                      value={cron}
+                      onChange={setCron}
+                      placeholder="*/30 * * * *"
+                      helpText="minute hour day month weekday, in UTC"
+                      autoComplete="off"
+                    />
+                  ) : (
+                    <TextField label="Cron expression" value={presets[intervalChoice]} disabled autoComplete="off" />
+                  )}
+                </FormLayout.Group>
+                <Button
+                  variant="primary"
+                  loading={isBusy && fetcher.formData?.get("intent") === "create"}
+                  disabled={isBusy || (intervalChoice === "custom" && !cron.trim())}
+                  onClick={() =>
+                    fetcher.submit(
+                      { intent: "create", collectionId, interval: intervalChoice, cron },
+                      { method: "post" },
+                    )
+                  }
+                >
+                  Add schedule
+                </Button>
+              </FormLayout>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+        <Layout.Section>
+          <Card padding="0">
+            <DataTable
+              columnContentTypes={["text", "text", "text", "text", "text", "text"]}
+              headings={["Collection", "Interval", "Last run", "Next run", "Status", ""]}
+              rows={rows}
+              footerContent={schedules.length ? undefined : "No schedules yet"}
+            />
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
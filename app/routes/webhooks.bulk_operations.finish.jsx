@@ -0,0 +1,34 @@
+import { authenticate } from "../shopify.server";
+import {
+  bulkLineError,
+  fetchBulkOperation,
+  fetchBulkOperationResults,
+  notifyBulkOperationFinished,
+} from "../utils/bulk-operations.server";
+
+export const action = async ({ request }) => {
+  const { shop, admin, payload, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}:`, payload.admin_graphql_api_id, payload.status);
+
+  // A render waiting on this operation picks up the result itself.
+  if (notifyBulkOperationFinished(payload.admin_graphql_api_id)) {
+    return new Response();
+  }
+
+  // Nobody is waiting (e.g. the render timed out or the server restarted): log the outcome.
+  if (admin && payload.type === "mutation") {
+    try {
+      const operation = await fetchBulkOperation({ admin, id: payload.admin_graphql_api_id });
+      const lines = await fetchBulkOperationResults(operation?.url || operation?.partialDataUrl);
+      const failed = lines.filter((line) => bulkLineError(line));
+      console.log(
+        `[bulk] ${payload.admin_graphql_api_id} ${payload.status}: ${lines.length - failed.length} lines succeeded, ${failed.length} failed`,
+      );
+    } catch (error) {
+      console.error(`[bulk] failed to read results for ${payload.admin_graphql_api_id}:`, error);
+    }
+  }
+
+  return new Response();
+};
@@ -0,0 +1,12 @@
+import { authenticate } from "../shopify.server";
+import { handleCollectionDeleteWebhook } from "../utils/collection-webhooks.server";
+
+export const action = async ({ request }) => {
+  const { shop, session, topic, payload } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  await handleCollectionDeleteWebhook({ shop, topic, payload, session });
+
+  return new Response();
+};
@@ -6,6 +6,7 @@ import {
 } from "@shopify/shopify-app-remix/server";
 import { PrismaSessionStorage } from "@shopify/shopify-app-session-storage-prisma";
 import prisma from "./db.server";
+import { costAwareAdmin } from "./utils/admin-graphql.server";
 
 const shopify = shopifyApp({
   apiKey: process.env.SHOPIFY_API_KEY,
@@ -28,8 +29,23 @@ const shopify = shopifyApp({
 export default shopify;
 export const apiVersion = ApiVersion.January25;
 export const addDocumentResponseHeaders = shopify.addDocumentResponseHeaders;
-export const authenticate = shopify.authenticate;
-export const unauthenticated = shopify.unauthenticated;
+
+// --- Helper: Swap the context's admin client for the cost-aware one, so every loader, action,
+// webhook and job shares the shop's query-cost budget ---
+function withCostAwareAdmin(context) {
+  if (!context.admin) return context;
+  return { ...context, admin: costAwareAdmin(context.admin, context.session?.shop ?? context.shop) };
+}
+
+export const authenticate = {
+  ...shopify.authenticate,
+  admin: async (request) => withCostAwareAdmin(await shopify.authenticate.admin(request)),
+  webhook: async (request) => withCostAwareAdmin(await shopify.authenticate.webhook(request)),
+};
+export const unauthenticated = {
+  ...shopify.unauthenticated,
+  admin: async (shop) => withCostAwareAdmin(await shopify.unauthenticated.admin(shop)),
+};
 export const login = shopify.login;
 export const registerWebhooks = shopify.registerWebhooks;
 export const sessionStorage = shopify.sessionStorage;
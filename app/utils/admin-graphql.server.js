@@ -0,0 +1,176 @@
+// --- Admin GraphQL client: paces calls to the shop's query-cost budget, retries throttled and
+// server errors, and turns top-level GraphQL errors into exceptions ---
+
+// Attempts per call before giving up on throttling or 5xx responses (override with ADMIN_GRAPHQL_MAX_ATTEMPTS).
+export const ADMIN_GRAPHQL_MAX_ATTEMPTS = parseInt(process.env.ADMIN_GRAPHQL_MAX_ATTEMPTS || "5", 10) || 5;
+
+// Backoff between retries: doubled each attempt from the base, never above the cap (ms).
+const RETRY_BASE_DELAY = 500;
+const RETRY_MAX_DELAY = 20000;
+
+// Cost assumed for an operation until Shopify has reported what it requests.
+const DEFAULT_QUERY_COST = 10;
+
+// Last throttle status seen per shop, shared by every client in the process.
+const budgets = global.adminGraphqlBudgets ?? (global.adminGraphqlBudgets = new Map());
+
+// --- Error for a call that failed for good, with the status a loader or action should answer with ---
+export class AdminGraphqlError extends Error {
+  constructor(message, status = 502, errors = []) {
+    super(message);
+    this.name = "AdminGraphqlError";
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+// --- Still throttled after every attempt ---
+export class AdminThrottledError extends AdminGraphqlError {
+  constructor(message, errors = []) {
+    super(message, 429, errors);
+    this.name = "AdminThrottledError";
+  }
+}
+
+// --- Helper: Name of the query or mutation, for logs and the per-operation cost estimate ---
+function operationName(operation) {
+  return /\b(?:query|mutation)\s+(\w+)/.exec(operation)?.[1] || "anonymous";
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function retryDelay(attempt) {
+  return Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** attempt);
+}
+
+// --- Helper: The shop's budget record, created on first use ---
+function budgetFor(shop) {
+  let budget = budgets.get(shop);
+  if (!budget) {
+    budget = { available: null, maximum: null, restoreRate: null, updatedAt: 0, costs: new Map() };
+    budgets.set(shop, budget);
+  }
+  return budget;
+}
+
+// --- Helper: Points available now, counting what has restored since the last status ---
+function availableNow(budget) {
+  const restored = (budget.restoreRate * (Date.now() - budget.updatedAt)) / 1000;
+  return Math.min(budget.maximum, budget.available + restored);
+}
+
+// --- Helper: Wait until the budget covers `cost`, then take it so concurrent calls queue behind it ---
+async function reserve(budget, cost) {
+  if (budget.available === null) return;
+  const needed = Math.min(cost, budget.maximum);
+  let available = availableNow(budget);
+  while (available < needed) {
+    await sleep(Math.ceil(((needed - available) / budget.restoreRate) * 1000));
+    available = availableNow(budget);
+  }
+  budget.available = available - needed;
+  budget.updatedAt = Date.now();
+}
+
+// --- Helper: Record the throttle status and requested cost a response reports ---
+function recordCost(budget, name, extensions) {
+  const cost = extensions?.cost;
+  if (!cost?.throttleStatus) return;
+  const { maximumAvailable, currentlyAvailable, restoreRate } = cost.throttleStatus;
+  Object.assign(budget, {
+    available: currentlyAvailable,
+    maximum: maximumAvailable,
+    restoreRate,
+    updatedAt: Date.now(),
+  });
+  if (cost.requestedQueryCost !== undefined) {
+    budget.costs.set(name, cost.requestedQueryCost);
+  }
+}
+
+// --- Helper: How long until a throttled call can go again, from the cost the response reports ---
+function throttleDelay(extensions, attempt) {
+  const cost = extensions?.cost;
+  const status = cost?.throttleStatus;
+  if (!status?.restoreRate || cost.requestedQueryCost === undefined) return retryDelay(attempt);
+  const missing = Math.max(0, cost.requestedQueryCost - status.currentlyAvailable);
+  return Math.ceil((missing / status.restoreRate) * 1000) + RETRY_BASE_DELAY;
+}
+
+// --- Helper: What went wrong with a call — `{ retry, wait, error }` — from the response body or the thrown error ---
+function classifyFailure({ name, attempt, body, error }) {
+  const graphQLErrors = body?.errors ?? error?.body?.errors?.graphQLErrors;
+  const extensions = body?.extensions ?? error?.body?.extensions;
+
+  if (Array.isArray(graphQLErrors) && graphQLErrors.length) {
+    const message = `${name}: ${graphQLErrors.map((e) => e.message).join("; ")}`;
+    if (graphQLErrors.some((e) => e.extensions?.code === "THROTTLED")) {
+      return {
+        retry: true,
+        wait: throttleDelay(extensions, attempt),
+        error: new AdminThrottledError(message, graphQLErrors),
+      };
+    }
+    const denied = graphQLErrors.some((e) => e.extensions?.code === "ACCESS_DENIED");
+    return { retry: false, error: new AdminGraphqlError(message, denied ? 403 : 502, graphQLErrors) };
+  }
+
+  const status = error?.response?.code ?? error?.response?.status;
+  if (status === 429) {
+    const wait = error.retryAfter ? error.retryAfter * 1000 : retryDelay(attempt);
+    return { retry: true, wait, error: new AdminThrottledError(`${name}: ${error.message}`) };
+  }
+  if (status >= 500 || error?.name === "HttpRequestError") {
+    return {
+      retry: true,
+      wait: retryDelay(attempt),
+      error: new AdminGraphqlError(`${name}: ${error.message}`, 502),
+    };
+  }
+  return { retry: false, error: new AdminGraphqlError(`${name}: ${error.message}`, status || 500) };
+}
+
+/**
+ * Wrap an Admin API context's `admin` so its `graphql` paces itself to the shop's query-cost
+ * budget (from `extensions.cost.throttleStatus`), retries THROTTLED, 429 and 5xx responses with
+ * backoff, and throws AdminGraphqlError for top-level `errors`. `graphql` keeps the library's
+ * signature and still resolves to a Response, so callers read it with `response.json()`.
+ */
+export function costAwareAdmin(admin, shop) {
+  const budget = budgetFor(shop);
+
+  async function graphql(operation, options) {
+    const name = operationName(operation);
+
+    for (let attempt = 0; ; attempt++) {
+      await reserve(budget, budget.costs.get(name) ?? DEFAULT_QUERY_COST);
+
+      let body;
+      let failure;
+      try {
+        const response = await admin.graphql(operation, options);
+        body = await response.json();
+        recordCost(budget, name, body.extensions);
+        if (!body.errors?.length) {
+          return new Response(JSON.stringify(body));
+        }
+        failure = classifyFailure({ name, attempt, body });
+      } catch (error) {
+        // Auth redirects and other Responses from the library pass straight through.
+        if (error instanceof Response) throw error;
+        recordCost(budget, name, error?.body?.extensions);
+        failure = classifyFailure({ name, attempt, error });
+      }
+
+      if (!failure.retry || attempt + 1 >= ADMIN_GRAPHQL_MAX_ATTEMPTS) {
+        throw failure.error;
+      }
+      console.warn(`[graphql] ${shop} ${failure.error.message}; retry ${attempt + 1} in ${failure.wait}ms`);
+      await sleep(failure.wait);
+    }
+  }
+
+  return { ...admin, graphql };
+}
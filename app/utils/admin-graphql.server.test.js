@@ -0,0 +1,129 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  ADMIN_GRAPHQL_MAX_ATTEMPTS,
+  AdminGraphqlError,
+  AdminThrottledError,
+  costAwareAdmin,
+} from "./admin-graphql.server";
+
+const QUERY = "query getShop { shop { name } }";
+
+// --- Fake library admin: answers each call with the next reply; a reply that is a function throws ---
+function fakeAdmin(replies) {
+  const calls = [];
+  const admin = {
+    graphql: vi.fn(async (operation) => {
+      calls.push({ operation, at: Date.now() });
+      const reply = replies[Math.min(calls.length, replies.length) - 1];
+      if (typeof reply === "function") throw reply();
+      return new Response(JSON.stringify(reply));
+    }),
+  };
+  return { admin, calls };
+}
+
+function cost(requested, available, restoreRate = 50, maximum = 1000) {
+  return {
+    cost: {
+      requestedQueryCost: requested,
+      throttleStatus: { maximumAvailable: maximum, currentlyAvailable: available, restoreRate },
+    },
+  };
+}
+
+let shopCount = 0;
+const nextShop = () => `shop-${++shopCount}.myshopify.com`;
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe("costAwareAdmin", () => {
+  it("passes a successful body through as a Response", async () => {
+    const body = { data: { shop: { name: "Test" } }, extensions: cost(1, 999) };
+    const { admin } = fakeAdmin([body]);
+    const response = await costAwareAdmin(admin, nextShop()).graphql(QUERY);
+    expect(await response.json()).toEqual(body);
+  });
+
+  it("throws top-level errors without retrying, with 403 for denied access", async () => {
+    const { admin, calls } = fakeAdmin([{ errors: [{ message: "Field missing" }] }]);
+    const failure = costAwareAdmin(admin, nextShop()).graphql(QUERY);
+    await expect(failure).rejects.toBeInstanceOf(AdminGraphqlError);
+    await expect(failure).rejects.toMatchObject({ message: "getShop: Field missing", status: 502 });
+    expect(calls).toHaveLength(1);
+
+    const denied = fakeAdmin([{ errors: [{ message: "No access", extensions: { code: "ACCESS_DENIED" } }] }]);
+    await expect(costAwareAdmin(denied.admin, nextShop()).graphql(QUERY)).rejects.toMatchObject({ status: 403 });
+  });
+
+  it("waits out a THROTTLED response for the points it is missing, then retries", async () => {
+    const throttled = {
+      errors: [{ message: "Throttled", extensions: { code: "THROTTLED" } }],
+      extensions: cost(200, 100),
+    };
+    const { admin, calls } = fakeAdmin([throttled, { data: { shop: { name: "Test" } } }]);
+    const result = costAwareAdmin(admin, nextShop()).graphql(QUERY);
+
+    // (200 - 100) points at 50 per second, plus the base delay.
+    await vi.advanceTimersByTimeAsync(2000);
+    expect(calls).toHaveLength(1);
+    await vi.advanceTimersByTimeAsync(500);
+    expect(calls).toHaveLength(2);
+    expect(await (await result).json()).toEqual({ data: { shop: { name: "Test" } } });
+  });
+
+  it("retries 5xx and 429 errors the library throws", async () => {
+    const serverError = () => Object.assign(new Error("Bad gateway"), { response: { code: 502 } });
+    const tooMany = () => Object.assign(new Error("Too many"), { response: { code: 429 }, retryAfter: 1 });
+    const { admin, calls } = fakeAdmin([serverError, tooMany, { data: {} }]);
+    const result = costAwareAdmin(admin, nextShop()).graphql(QUERY);
+    await vi.runAllTimersAsync();
+    expect(await (await result).json()).toEqual({ data: {} });
+    expect(calls).toHaveLength(3);
+    expect(calls[2].at - calls[1].at).toBeGreaterThanOrEqual(1000);
+  });
+
+  it("gives up after the last attempt with AdminThrottledError", async () => {
+    const throttled = { errors: [{ message: "Throttled", extensions: { code: "THROTTLED" } }] };
+    const { admin, calls } = fakeAdmin([throttled]);
+    const result = costAwareAdmin(admin, nextShop()).graphql(QUERY);
+    const failure = expect(result).rejects.toBeInstanceOf(AdminThrottledError);
+    await vi.runAllTimersAsync();
+    await failure;
+    await expect(result).rejects.toMatchObject({ status: 429 });
+    expect(calls).toHaveLength(ADMIN_GRAPHQL_MAX_ATTEMPTS);
+  });
+
+  it("does not retry client errors and passes library Responses through", async () => {
+    const badRequest = () => Object.assign(new Error("Bad request"), { response: { code: 400 } });
+    const client = fakeAdmin([badRequest]);
+    await expect(costAwareAdmin(client.admin, nextShop()).graphql(QUERY)).rejects.toMatchObject({ status: 400 });
+    expect(client.calls).toHaveLength(1);
+
+    const redirect = new Response(null, { status: 302 });
+    const auth = fakeAdmin([() => redirect]);
+    await expect(costAwareAdmin(auth.admin, nextShop()).graphql(QUERY)).rejects.toBe(redirect);
+  });
+
+  it("holds a call until the budget has restored what the operation cost last time", async () => {
+    const shop = nextShop();
+    const { admin, calls } = fakeAdmin([{ data: {}, extensions: cost(100, 0) }]);
+    const client = costAwareAdmin(admin, shop);
+    await client.graphql(QUERY);
+
+    // The first call left 0 points; 100 come back in two seconds at 50 per second.
+    const second = client.graphql(QUERY);
+    await vi.advanceTimersByTimeAsync(1900);
+    expect(calls).toHaveLength(1);
+    await vi.advanceTimersByTimeAsync(100);
+    await second;
+    expect(calls).toHaveLength(2);
+  });
+});
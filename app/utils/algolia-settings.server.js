@@ -0,0 +1,115 @@
+// --- Generate the Algolia index settings that sort by rendered collection ranks ---
+import { createAlgoliaClient, rankAttribute } from "./algolia.server";
+import { rankStrategy } from "./rank-plan.server";
+
+// Attribute the Shopify connector indexes collection handles into.
+export const COLLECTIONS_FACET = "collections";
+
+// --- Helper: Name of the virtual replica that sorts one collection by its rank ---
+export function replicaName(indexName, handle) {
+  return `${indexName}_collection_${handle}`;
+}
+
+// --- Helper: The customRanking entry that puts position 1 first under a numbering strategy ---
+export function rankRanking(col) {
+  return `${rankStrategy(col.strategy).direction}(${rankAttribute(col.rankKey, col.namespace)})`;
+}
+
+/**
+ * Build the settings each ranked collection needs:
+ * - a virtual replica of the primary index per collection,
+ * - `customRanking: asc(<namespace>_<rank key>)` on that replica (the stored location,
+ *   which keeps the original handle's key after a rename until it is migrated; `desc` for
+ *   collections numbered as a descending score),
+ * - the collection handle filterable on the primary (replicas inherit it), used at query time
+ *   as `filters: collections:"<handle>"`.
+ *
+ * Replicas and facets not managed by this app are kept as they are.
+ */
+export function buildRankSettings({ indexName, collections, currentPrimary }) {
+  const managedPrefix = `virtual(${indexName}_collection_`;
+  const existingReplicas = currentPrimary.replicas || [];
+  const unmanagedReplicas = existingReplicas.filter((replica) => !replica.startsWith(managedPrefix));
+  const managedReplicas = collections.map((col) => `virtual(${replicaName(indexName, col.handle)})`);
+
+  const facets = currentPrimary.attributesForFaceting || [];
+  const hasCollectionsFacet = facets.some(
+    (facet) => facet.replace(/^(filterOnly|searchable|afterDistinct)\((.*)\)$/, "$2") === COLLECTIONS_FACET,
+  );
+
+  const primary = {
+    replicas: [...unmanagedReplicas, ...managedReplicas],
+    attributesForFaceting: hasCollectionsFacet ? facets : [...facets, `filterOnly(${COLLECTIONS_FACET})`],
+  };
+
+  const replicas = {};
+  for (const col of collections) {
+    replicas[replicaName(indexName, col.handle)] = {
+      customRanking: [rankRanking(col)],
+    };
+  }
+
+  return { primary, replicas };
+}
+
+// --- Helper: Keys whose value differs between the current and proposed settings ---
+export function diffSettings(current, proposed) {
+  const changes = [];
+  for (const [key, after] of Object.entries(proposed)) {
+    const before = current[key] ?? null;
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changes.push({ key, before, after });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Read the current settings of the primary index and every managed replica, and return the
+ * proposed settings with a per-index diff.
+ */
+export async function planRankSettings({ config, collections }) {
+  const client = createAlgoliaClient(config);
+  const currentPrimary = await client.getSettings(config.indexName);
+  const proposed = buildRankSettings({ indexName: config.indexName, collections, currentPrimary });
+
+  const indexes = [
+    {
+      indexName: config.indexName,
+      primary: true,
+      proposed: proposed.primary,
+      changes: diffSettings(currentPrimary, proposed.primary),
+    },
+  ];
+  for (const [indexName, settings] of Object.entries(proposed.replicas)) {
+    const current = await client.getSettings(indexName);
+    indexes.push({
+      indexName,
+      primary: false,
+      proposed: settings,
+      changes: diffSettings(current, settings),
+    });
+  }
+
+  return indexes;
+}
+
+/**
+ * Apply a plan from planRankSettings. The primary goes first so Algolia creates the replicas
+ * before their own settings are written.
+ */
+export async function applyRankSettings({ config, indexes }) {
+  const client = createAlgoliaClient(config);
+  const applied = [];
+
+  for (const index of indexes) {
+    if (!index.changes.length) continue;
+    const settings = Object.fromEntries(index.changes.map(({ key, after }) => [key, after]));
+    const { taskID } = await client.setSettings(index.indexName, settings);
+    await client.waitTask(index.indexName, taskID);
+    console.log(`[algolia] applied ${Object.keys(settings).join(", ")} on ${index.indexName}`);
+    applied.push(index.indexName);
+  }
+
+  return applied;
+}
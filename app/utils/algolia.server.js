@@ -0,0 +1,207 @@
+// --- Algolia REST client and rank sync for product records ---
+import { chunk } from "./metafields.server";
+
+// Algolia accepts up to 1000 operations per batch call.
+const ALGOLIA_BATCH_SIZE = 1000;
+
+// Default mapping: one record per product whose objectID is the numeric Shopify product ID.
+export const DEFAULT_OBJECT_ID_RULES = [{ source: "productId", template: "{value}" }];
+
+const OBJECT_ID_SOURCES = ["productId", "productGid", "handle", "variantIds"];
+
+// --- Error for non-2xx responses from the Algolia API ---
+export class AlgoliaError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = "AlgoliaError";
+    this.status = status;
+  }
+}
+
+// --- Helper: Parse and validate ALGOLIA_OBJECT_ID_RULES ---
+export function parseObjectIdRules(raw) {
+  if (!raw) return DEFAULT_OBJECT_ID_RULES;
+  const rules = typeof raw === "string" ? JSON.parse(raw) : raw;
+  if (!Array.isArray(rules) || !rules.length) {
+    throw new Error("Algolia object ID rules must be a non-empty array");
+  }
+  for (const rule of rules) {
+    if (!OBJECT_ID_SOURCES.includes(rule.source)) {
+      throw new Error(`Unknown Algolia object ID source "${rule.source}"`);
+    }
+  }
+  return rules.map((rule) => ({ source: rule.source, template: rule.template || "{value}" }));
+}
+
+/**
+ * Algolia settings from the environment, or null when the sync is not configured.
+ * ALGOLIA_HOST points the client at another base URL, e.g. a local stand-in for the API.
+ */
+export function getAlgoliaConfig(env = process.env) {
+  if (!env.ALGOLIA_APP_ID || !env.ALGOLIA_ADMIN_API_KEY || !env.ALGOLIA_INDEX_NAME) {
+    return null;
+  }
+  return {
+    appId: env.ALGOLIA_APP_ID,
+    apiKey: env.ALGOLIA_ADMIN_API_KEY,
+    indexName: env.ALGOLIA_INDEX_NAME,
+    host: env.ALGOLIA_HOST || null,
+    objectIdRules: parseObjectIdRules(env.ALGOLIA_OBJECT_ID_RULES),
+  };
+}
+
+// --- Helper: Whether any rule needs the product's variant IDs ---
+export function needsVariants(rules) {
+  return rules.some((rule) => rule.source === "variantIds");
+}
+
+// --- Helper: Numeric ID from a Shopify GID (gid://shopify/Product/123 -> 123) ---
+export function legacyId(gid) {
+  return gid.split("/").pop();
+}
+
+/**
+ * Resolve the Algolia objectIDs of a product from the mapping rules. A product can map to
+ * several records (one per variant, or several rules at once).
+ */
+export function resolveObjectIds(product, rules) {
+  const ids = [];
+  for (const rule of rules) {
+    let values;
+    switch (rule.source) {
+      case "productId":
+        values = [legacyId(product.id)];
+        break;
+      case "productGid":
+        values = [product.id];
+        break;
+      case "handle":
+        values = product.handle ? [product.handle] : [];
+        break;
+      case "variantIds":
+        values = (product.variants?.nodes || []).map((variant) => legacyId(variant.id));
+        break;
+      default:
+        values = [];
+    }
+    for (const value of values) {
+      ids.push(rule.template.replaceAll("{value}", value));
+    }
+  }
+  return [...new Set(ids)];
+}
+
+/**
+ * Minimal Algolia REST client. Only the endpoints this app needs are wrapped.
+ */
+export function createAlgoliaClient({ appId, apiKey, host = null }) {
+  const baseUrl = host ? host.replace(/\/$/, "") : `https://${appId}.algolia.net`;
+
+  async function request(method, path, body) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        "X-Algolia-Application-Id": appId,
+        "X-Algolia-API-Key": apiKey,
+        "Content-Type": "application/json",
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    // Error pages from a proxy or an outage can be HTML or plain text; only JSON bodies are parsed.
+    const text = await response.text();
+    const isJson = (response.headers.get("content-type") || "").includes("application/json");
+    let data = {};
+    if (text && isJson) {
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        if (response.ok) {
+          throw new AlgoliaError(`Algolia returned invalid JSON: ${error.message}`, response.status);
+        }
+      }
+    }
+    if (!response.ok) {
+      throw new AlgoliaError(data.message || `Algolia request failed with status ${response.status}`, response.status);
+    }
+    return data;
+  }
+
+  return {
+    request,
+
+    // Partial updates only touch the given attributes; records that don't exist are skipped.
+    async partialUpdateObjects(indexName, objects, { createIfNotExists = false } = {}) {
+      const action = createIfNotExists ? "partialUpdateObject" : "partialUpdateObjectNoCreate";
+      const taskIDs = [];
+      for (const batch of chunk(objects, ALGOLIA_BATCH_SIZE)) {
+        const data = await request("POST", `/1/indexes/${encodeURIComponent(indexName)}/batch`, {
+          requests: batch.map((body) => ({ action, body })),
+        });
+        taskIDs.push(data.taskID);
+      }
+      return { taskIDs, objectIDs: objects.map((object) => object.objectID) };
+    },
+
+    // Settings of an index; an index that doesn't exist yet has no settings.
+    async getSettings(indexName) {
+      try {
+        return await request("GET", `/1/indexes/${encodeURIComponent(indexName)}/settings`);
+      } catch (error) {
+        if (error.status === 404) return {};
+        throw error;
+      }
+    },
+
+    async setSettings(indexName, settings, { forwardToReplicas = false } = {}) {
+      return request(
+        "PUT",
+        `/1/indexes/${encodeURIComponent(indexName)}/settings?forwardToReplicas=${forwardToReplicas}`,
+        settings,
+      );
+    },
+
+    // Resolve once Algolia has published the task (settings changes are applied asynchronously).
+    async waitTask(indexName, taskID, { interval = 500, timeout = 60000 } = {}) {
+      const deadline = Date.now() + timeout;
+      while (Date.now() < deadline) {
+        const data = await request("GET", `/1/indexes/${encodeURIComponent(indexName)}/task/${taskID}`);
+        if (data.status === "published") return data;
+        await new Promise((resolve) => setTimeout(resolve, interval));
+      }
+      throw new AlgoliaError(`Algolia task ${taskID} on ${indexName} was not published in time`);
+    },
+  };
+}
+
+/**
+ * The record attribute a rank key's values live in: written by syncRanksToAlgolia and sorted on by
+ * the generated replicas. It is a flat name, because a partial update of a nested path replaces
+ * the whole parent object (the connector's `meta`).
+ */
+export function rankAttribute(rankKey, namespace = "custom") {
+  return `${namespace}_${rankKey}`;
+}
+
+/**
+ * Write each product's rank for `namespace.rankKey` onto its Algolia records, under rankAttribute.
+ * `ranks` is a list of `{ product, value }` where product carries `id`, `handle` and optionally
+ * `variants`; a null value clears the rank.
+ */
+export async function syncRanksToAlgolia({ config, rankKey, namespace, ranks }) {
+  const client = createAlgoliaClient(config);
+  const attribute = rankAttribute(rankKey, namespace);
+  const objects = [];
+  for (const { product, value } of ranks) {
+    for (const objectID of resolveObjectIds(product, config.objectIdRules)) {
+      objects.push({ objectID, [attribute]: value });
+    }
+  }
+
+  if (!objects.length) {
+    return { updated: 0, taskIDs: [] };
+  }
+
+  console.log(`[algolia] partialUpdateObjects ${attribute} on ${objects.length} records in ${config.indexName}`);
+  const { taskIDs } = await client.partialUpdateObjects(config.indexName, objects);
+  return { updated: objects.length, taskIDs };
+}
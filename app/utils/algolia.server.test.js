@@ -0,0 +1,150 @@
+import { createServer } from "node:http";
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from "vitest";
+import {
+  AlgoliaError,
+  createAlgoliaClient,
+  rankAttribute,
+  resolveObjectIds,
+  syncRanksToAlgolia,
+} from "./algolia.server";
+import { rankRanking } from "./algolia-settings.server";
+
+// --- Local stand-in for the Algolia REST API: records each request and answers with `reply` ---
+let server;
+let host;
+let requests;
+let reply;
+
+beforeAll(async () => {
+  server = createServer((req, res) => {
+    let body = "";
+    req.on("data", (part) => (body += part));
+    req.on("end", () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+      const { status = 200, type = "application/json", text = JSON.stringify({ taskID: requests.length }) } =
+        reply(req) || {};
+      res.writeHead(status, { "Content-Type": type });
+      res.end(text);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  host = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  requests = [];
+  reply = () => null;
+});
+
+describe("createAlgoliaClient", () => {
+  it("sends partial updates in batches of 1000 with the credentials", async () => {
+    const client = createAlgoliaClient({ appId: "APP", apiKey: "KEY", host });
+    const objects = Array.from({ length: 1500 }, (_, i) => ({ objectID: String(i), rank: i }));
+
+    const result = await client.partialUpdateObjects("products", objects);
+
+    expect(requests).toHaveLength(2);
+    expect(requests[0].url).toBe("/1/indexes/products/batch");
+    expect(requests[0].headers["x-algolia-application-id"]).toBe("APP");
+    expect(requests[0].headers["x-algolia-api-key"]).toBe("KEY");
+    expect(requests[0].body.requests).toHaveLength(1000);
+    expect(requests[1].body.requests[0]).toEqual({
+      action: "partialUpdateObjectNoCreate",
+      body: { objectID: "1000", rank: 1000 },
+    });
+    expect(result.taskIDs).toEqual([1, 2]);
+  });
+
+  it("raises AlgoliaError with the API's message", async () => {
+    reply = () => ({ status: 403, text: JSON.stringify({ message: "Invalid Application-ID or API key" }) });
+    const client = createAlgoliaClient({ appId: "APP", apiKey: "KEY", host });
+
+    await expect(client.setSettings("products", {})).rejects.toMatchObject({
+      name: "AlgoliaError",
+      status: 403,
+      message: "Invalid Application-ID or API key",
+    });
+  });
+
+  it("raises AlgoliaError for an HTML error page", async () => {
+    reply = () => ({ status: 502, type: "text/html", text: "<html><body>Bad gateway</body></html>" });
+    const client = createAlgoliaClient({ appId: "APP", apiKey: "KEY", host });
+
+    const error = await client.request("GET", "/1/indexes").catch((e) => e);
+    expect(error).toBeInstanceOf(AlgoliaError);
+    expect(error.status).toBe(502);
+  });
+
+  it("treats a missing index as having no settings", async () => {
+    reply = () => ({ status: 404, text: JSON.stringify({ message: "Index does not exist" }) });
+    const client = createAlgoliaClient({ appId: "APP", apiKey: "KEY", host });
+
+    await expect(client.getSettings("products")).resolves.toEqual({});
+  });
+});
+
+describe("syncRanksToAlgolia", () => {
+  it("writes the rank onto every record the rules map a product to", async () => {
+    const config = {
+      appId: "APP",
+      apiKey: "KEY",
+      host,
+      indexName: "products",
+      objectIdRules: [{ source: "variantIds", template: "variant-{value}" }],
+    };
+    const product = {
+      id: "gid://shopify/Product/1",
+      variants: { nodes: [{ id: "gid://shopify/ProductVariant/11" }, { id: "gid://shopify/ProductVariant/12" }] },
+    };
+
+    const result = await syncRanksToAlgolia({
+      config,
+      rankKey: "sale_rank",
+      namespace: "custom",
+      ranks: [{ product, value: 3 }],
+    });
+
+    expect(result.updated).toBe(2);
+    expect(requests[0].body.requests.map((request) => request.body)).toEqual([
+      { objectID: "variant-11", [rankAttribute("sale_rank", "custom")]: 3 },
+      { objectID: "variant-12", [rankAttribute("sale_rank", "custom")]: 3 },
+    ]);
+  });
+
+  it("makes no request when no product maps to a record", async () => {
+    const config = {
+      appId: "APP",
+      apiKey: "KEY",
+      host,
+      indexName: "products",
+      objectIdRules: [{ source: "handle", template: "{value}" }],
+    };
+    const ranks = [{ product: { id: "gid://shopify/Product/1" }, value: 1 }];
+
+    const result = await syncRanksToAlgolia({ config, rankKey: "sale_rank", namespace: "custom", ranks });
+
+    expect(result).toEqual({ updated: 0, taskIDs: [] });
+    expect(requests).toHaveLength(0);
+  });
+});
+
+describe("rankAttribute", () => {
+  it("is the attribute the replicas sort by", () => {
+    const col = { rankKey: "sale_rank", namespace: "ranks", strategy: "ascending" };
+    expect(rankRanking(col)).toBe(`asc(${rankAttribute("sale_rank", "ranks")})`);
+  });
+});
+
+describe("resolveObjectIds", () => {
+  it("combines rules and drops duplicates", () => {
+    const product = { id: "gid://shopify/Product/7", handle: "shirt" };
+    const rules = [
+      { source: "productId", template: "{value}" },
+      { source: "handle", template: "{value}" },
+      { source: "productId", template: "{value}" },
+    ];
+    expect(resolveObjectIds(product, rules)).toEqual(["7", "shirt"]);
+  });
+});
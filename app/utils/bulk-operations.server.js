@@ -0,0 +1,308 @@
+// --- Bulk Operations: staged JSONL uploads, bulkOperationRunMutation and result parsing ---
+import { METAFIELDS_SET_BATCH_SIZE, chunk, recordBatchResults, rejectedMetafieldsSet } from "./metafields.server";
+
+// How often to poll a running bulk operation, and how long to wait before giving up.
+export const BULK_OPERATION_POLL_INTERVAL =
+  parseInt(process.env.BULK_OPERATION_POLL_INTERVAL || "5000", 10) || 5000;
+export const BULK_OPERATION_TIMEOUT =
+  parseInt(process.env.BULK_OPERATION_TIMEOUT || "1800000", 10) || 1800000;
+
+const FINISHED_STATUSES = ["COMPLETED", "FAILED", "CANCELED", "EXPIRED"];
+
+// Waiters registered by waitForBulkOperation, resolved early by the bulk_operations/finish webhook.
+const finishListeners = new Map();
+
+const BULK_METAFIELDS_SET_MUTATION = `
+  mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      metafields {
+        id
+      }
+      userErrors {
+        field
+        message
+        code
+      }
+    }
+  }
+`;
+
+// --- Helper: Upload a JSONL file of mutation variables, returns the stagedUploadPath ---
+export async function stageBulkVariables({ admin, lines, filename = "bulk-variables.jsonl" }) {
+  const mutation = `
+    mutation stagedUploadsCreate($input: [StagedUploadInput!]!) {
+      stagedUploadsCreate(input: $input) {
+        stagedTargets {
+          url
+          resourceUrl
+          parameters {
+            name
+            value
+          }
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+  const response = await admin.graphql(mutation, {
+    variables: {
+      input: [
+        {
+          resource: "BULK_MUTATION_VARIABLES",
+          filename,
+          mimeType: "text/jsonl",
+          httpMethod: "POST",
+        },
+      ],
+    },
+  });
+  const data = await response.json();
+  const payload = data?.data?.stagedUploadsCreate;
+  if (payload?.userErrors?.length) {
+    throw new Error(`stagedUploadsCreate failed: ${payload.userErrors.map((e) => e.message).join(", ")}`);
+  }
+  const target = payload?.stagedTargets?.[0];
+  if (!target) {
+    throw new Error("stagedUploadsCreate returned no target");
+  }
+
+  const form = new FormData();
+  for (const { name, value } of target.parameters) {
+    form.append(name, value);
+  }
+  form.append("file", new Blob([lines.join("\n")], { type: "text/jsonl" }), filename);
+
+  const upload = await fetch(target.url, { method: "POST", body: form });
+  if (!upload.ok) {
+    throw new Error(`Staged upload failed with status ${upload.status}`);
+  }
+
+  const key = target.parameters.find((p) => p.name === "key")?.value;
+  if (!key) {
+    throw new Error("Staged upload target is missing the key parameter");
+  }
+  return key;
+}
+
+// --- Helper: Start a bulk mutation against an uploaded JSONL file ---
+export async function runBulkMutation({ admin, mutation, stagedUploadPath }) {
+  const query = `
+    mutation bulkOperationRunMutation($mutation: String!, $stagedUploadPath: String!) {
+      bulkOperationRunMutation(mutation: $mutation, stagedUploadPath: $stagedUploadPath) {
+        bulkOperation {
+          id
+          status
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+  const response = await admin.graphql(query, { variables: { mutation, stagedUploadPath } });
+  const data = await response.json();
+  const payload = data?.data?.bulkOperationRunMutation;
+  if (payload?.userErrors?.length) {
+    throw new Error(`bulkOperationRunMutation failed: ${payload.userErrors.map((e) => e.message).join(", ")}`);
+  }
+  if (!payload?.bulkOperation) {
+    throw new Error("bulkOperationRunMutation returned no bulk operation");
+  }
+  return payload.bulkOperation;
+}
+
+// --- Helper: Read the current state of a bulk operation ---
+export async function fetchBulkOperation({ admin, id }) {
+  const query = `
+    query bulkOperation($id: ID!) {
+      node(id: $id) {
+        ... on BulkOperation {
+          id
+          status
+          errorCode
+          objectCount
+          url
+          partialDataUrl
+          completedAt
+        }
+      }
+    }
+  `;
+  const response = await admin.graphql(query, { variables: { id } });
+  const data = await response.json();
+  return data?.data?.node || null;
+}
+
+// --- Called by the bulk_operations/finish webhook; returns whether anyone was waiting ---
+export function notifyBulkOperationFinished(id) {
+  const listener = finishListeners.get(id);
+  if (!listener) return false;
+  listener();
+  return true;
+}
+
+/**
+ * Wait until a bulk operation reaches a final status. The poll loop is cut short as soon as the
+ * bulk_operations/finish webhook for the same operation arrives.
+ */
+export async function waitForBulkOperation({
+  admin,
+  id,
+  interval = BULK_OPERATION_POLL_INTERVAL,
+  timeout = BULK_OPERATION_TIMEOUT,
+  onPoll,
+}) {
+  const deadline = Date.now() + timeout;
+  const waker = { wake: null };
+  finishListeners.set(id, () => waker.wake?.());
+
+  try {
+    while (true) {
+      const operation = await fetchBulkOperation({ admin, id });
+      if (operation && FINISHED_STATUSES.includes(operation.status)) {
+        return operation;
+      }
+      if (operation) {
+        await onPoll?.(operation);
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(`Bulk operation ${id} did not finish within ${Math.round(timeout / 1000)}s`);
+      }
+      await sleepUntilWoken(waker, interval);
+    }
+  } finally {
+    finishListeners.delete(id);
+  }
+}
+
+// --- Helper: Sleep for `ms`, or until `waker.wake()` is called ---
+function sleepUntilWoken(waker, ms) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      waker.wake = null;
+      resolve();
+    }
+    waker.wake = done;
+  });
+}
+
+// --- Helper: Download and parse a bulk operation result file (one JSON object per line) ---
+export async function fetchBulkOperationResults(url) {
+  if (!url) return [];
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to download bulk operation results: ${response.status}`);
+  }
+  const text = await response.text();
+  return text
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+}
+
+// --- Helper: Extract an error message from one metafieldsSet result line, or null on success ---
+export function bulkLineError(line) {
+  if (line.errors?.length) {
+    return line.errors.map((e) => e.message).join(", ");
+  }
+  const userErrors = line.data?.metafieldsSet?.userErrors || [];
+  if (userErrors.length) {
+    return userErrors.map((e) => e.message).join(", ");
+  }
+  return null;
+}
+
+/**
+ * Write rank metafields through a bulk mutation. Each JSONL line carries one metafieldsSet call
+ * of up to 25 metafields, and the result file is folded back into the per-product
+ * `{ success, failed, errors }` report used by the batched writer.
+ *
+ * Pass `bulkOperationId` to resume waiting on an operation started before a restart instead of
+ * uploading the file again. Its result lines are matched to `entries` by line number, so a resume
+ * must pass the entries that were uploaded; `onStarted` receives the new operation id so callers
+ * can persist it with them.
+ */
+export async function setProductRanksInBulk({
+  admin,
+  entries,
+  namespace = "custom",
+  type = "number_integer",
+  bulkOperationId = null,
+  onStarted,
+  onProgress,
+}) {
+  const batches = chunk(entries, METAFIELDS_SET_BATCH_SIZE);
+  const lines = batches.map((batch) =>
+    JSON.stringify({
+      metafields: batch.map((entry) => ({
+        ownerId: entry.productId,
+        namespace,
+        key: entry.key,
+        type,
+        value: entry.value.toString(),
+      })),
+    }),
+  );
+
+  let operationId = bulkOperationId;
+  if (operationId) {
+    console.log(`[bulk] resuming ${operationId} for ${entries.length} products`);
+  } else {
+    const stagedUploadPath = await stageBulkVariables({ admin, lines, filename: "rank-metafields.jsonl" });
+    const started = await runBulkMutation({
+      admin,
+      mutation: BULK_METAFIELDS_SET_MUTATION,
+      stagedUploadPath,
+    });
+    operationId = started.id;
+    console.log(`[bulk] started ${operationId} for ${entries.length} products in ${lines.length} lines`);
+    await onStarted?.(operationId);
+  }
+
+  const operation = await waitForBulkOperation({
+    admin,
+    id: operationId,
+    onPoll: (current) =>
+      onProgress?.({
+        success: Math.min(Number(current.objectCount || 0) * METAFIELDS_SET_BATCH_SIZE, entries.length),
+        failed: 0,
+      }),
+  });
+  console.log(`[bulk] ${operation.id} finished with status ${operation.status}`);
+
+  const results = { success: 0, failed: 0, errors: [], bulkOperationId: operation.id };
+  const resultLines = await fetchBulkOperationResults(operation.url || operation.partialDataUrl);
+  const seen = new Set();
+
+  for (const line of resultLines) {
+    const batch = batches[line.__lineNumber];
+    if (!batch) continue;
+    seen.add(line.__lineNumber);
+    // A top-level error fails the whole line, and so do userErrors: each line is one atomic metafieldsSet.
+    const rejected = line.errors?.length
+      ? new Map(batch.map((_, i) => [i, bulkLineError(line)]))
+      : rejectedMetafieldsSet(line.data?.metafieldsSet?.userErrors, batch.length);
+    recordBatchResults(results, batch, rejected);
+  }
+
+  // Lines missing from the result file were never executed (failed or canceled operation).
+  batches.forEach((batch, index) => {
+    if (seen.has(index)) return;
+    results.failed += batch.length;
+    for (const entry of batch) {
+      results.errors.push({
+        productId: entry.productId,
+        title: entry.title,
+        error: `Bulk operation ${operation.status.toLowerCase()}${operation.errorCode ? ` (${operation.errorCode})` : ""}`,
+      });
+    }
+  });
+
+  return results;
+}
@@ -0,0 +1,87 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { setProductRanksInBulk } from "./bulk-operations.server";
+
+const OPERATION_ID = "gid://shopify/BulkOperation/1";
+
+// --- 60 writes, uploaded as three lines of 25, 25 and 10 metafields ---
+const entries = Array.from({ length: 60 }, (_, i) => ({
+  productId: `gid://shopify/Product/${i}`,
+  title: `Product ${i}`,
+  key: "sale_rank",
+  value: i + 1,
+}));
+
+// --- Fake admin whose bulk operation has already finished as `operation` ---
+function finishedAdmin(operation) {
+  return {
+    graphql: vi.fn(async () => new Response(JSON.stringify({ data: { node: { id: OPERATION_ID, ...operation } } }))),
+  };
+}
+
+// --- Serve `lines` as the JSONL result file ---
+function serveResults(lines) {
+  vi.stubGlobal(
+    "fetch",
+    vi.fn(async () => new Response(lines.map((line) => JSON.stringify(line)).join("\n"))),
+  );
+}
+
+const written = (lineNumber) => ({
+  data: { metafieldsSet: { metafields: [], userErrors: [] } },
+  __lineNumber: lineNumber,
+});
+
+function resume(admin) {
+  return setProductRanksInBulk({ admin, entries, bulkOperationId: OPERATION_ID });
+}
+
+beforeEach(() => {
+  vi.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe("setProductRanksInBulk results", () => {
+  it("matches lines by __lineNumber, not by their order in the file", async () => {
+    serveResults([written(2), { errors: [{ message: "Internal error" }], __lineNumber: 0 }, written(1)]);
+    const results = await resume(finishedAdmin({ status: "COMPLETED", url: "https://results" }));
+
+    expect(results.success).toBe(35);
+    expect(results.failed).toBe(25);
+    expect(new Set(results.errors.map((error) => error.productId))).toEqual(
+      new Set(entries.slice(0, 25).map((entry) => entry.productId)),
+    );
+    expect(results.errors[0].error).toBe("Internal error");
+  });
+
+  it("fails the lines missing from a partial result file", async () => {
+    serveResults([written(0)]);
+    const results = await resume(
+      finishedAdmin({ status: "FAILED", errorCode: "INTERNAL_SERVER_ERROR", partialDataUrl: "https://partial" }),
+    );
+
+    expect(fetch).toHaveBeenCalledWith("https://partial");
+    expect(results.success).toBe(25);
+    expect(results.failed).toBe(35);
+    expect(results.errors.map((error) => error.productId)).toEqual(entries.slice(25).map((entry) => entry.productId));
+    expect(results.errors[0].error).toBe("Bulk operation failed (INTERNAL_SERVER_ERROR)");
+  });
+
+  it("fails every write of a canceled operation without results", async () => {
+    vi.stubGlobal("fetch", vi.fn());
+    const results = await resume(finishedAdmin({ status: "CANCELED" }));
+
+    expect(fetch).not.toHaveBeenCalled();
+    expect(results).toMatchObject({ success: 0, failed: 60, bulkOperationId: OPERATION_ID });
+    expect(new Set(results.errors.map((error) => error.error))).toEqual(new Set(["Bulk operation canceled"]));
+  });
+
+  it("ignores lines that match no uploaded batch", async () => {
+    serveResults([written(0), written(1), written(2), written(7)]);
+    const results = await resume(finishedAdmin({ status: "COMPLETED", url: "https://results" }));
+    expect(results).toMatchObject({ success: 60, failed: 0, errors: [] });
+  });
+});
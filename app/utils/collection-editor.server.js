@@ -0,0 +1,152 @@
+// --- Collection editor: read a manual collection for reordering and write a new order back to Shopify ---
+
+// collectionReorderProducts takes at most this many moves per call.
+export const REORDER_MOVES_PER_CALL = 250;
+
+// How long to wait for Shopify's reorder job, and how often to check it (ms).
+const REORDER_JOB_TIMEOUT = parseInt(process.env.REORDER_JOB_TIMEOUT || "120000", 10) || 120000;
+const REORDER_JOB_POLL_INTERVAL = 1000;
+
+// --- Error carrying the HTTP status the action should answer with ---
+export class ReorderError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = "ReorderError";
+    this.status = status;
+  }
+}
+
+/**
+ * Every product of a collection in manual order, with what the editor shows: featured image,
+ * title, status and total inventory.
+ */
+export async function fetchEditableProducts({ admin, collectionId }) {
+  const query = `
+    query getEditableProducts($id: ID!, $after: String) {
+      collection(id: $id) {
+        products(first: 250, after: $after, sortKey: MANUAL) {
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            id
+            title
+            status
+            totalInventory
+            featuredMedia { preview { image { url altText } } }
+          }
+        }
+      }
+    }
+  `;
+  const products = [];
+  let after = null;
+  let hasNextPage = true;
+
+  while (hasNextPage) {
+    const response = await admin.graphql(query, { variables: { id: collectionId, after } });
+    const data = await response.json();
+    const connection = data?.data?.collection?.products;
+    if (!connection) {
+      throw new ReorderError(`Failed to fetch products for collection ${collectionId}`);
+    }
+    for (const node of connection.nodes) {
+      products.push({
+        id: node.id,
+        title: node.title,
+        status: node.status,
+        inventory: node.totalInventory,
+        image: node.featuredMedia?.preview?.image?.url || null,
+        imageAlt: node.featuredMedia?.preview?.image?.altText || node.title,
+      });
+    }
+    hasNextPage = connection.pageInfo.hasNextPage;
+    after = connection.pageInfo.endCursor;
+  }
+
+  return products;
+}
+
+// --- Helper: The product IDs of a submitted order (a JSON array of GIDs), or a 400 ReorderError ---
+export function parseProductOrder(value) {
+  let productIds = null;
+  try {
+    productIds = JSON.parse(value);
+  } catch {
+    // Reported below with every other malformed order.
+  }
+  if (!Array.isArray(productIds) || productIds.some((id) => typeof id !== "string")) {
+    throw new ReorderError("The order must be a list of product IDs", 400);
+  }
+  return productIds;
+}
+
+/**
+ * The moves that turn `currentIds` into `desiredIds`, applied in order the way Shopify applies
+ * them: each product that isn't in its place yet is moved to its final position.
+ */
+export function planReorderMoves(currentIds, desiredIds) {
+  const order = [...currentIds];
+  const moves = [];
+  desiredIds.forEach((id, position) => {
+    if (order[position] === id) return;
+    order.splice(order.indexOf(id), 1);
+    order.splice(position, 0, id);
+    moves.push({ id, newPosition: String(position) });
+  });
+  return moves;
+}
+
+// --- Helper: Poll an async job until Shopify reports it done ---
+async function waitForJob({ admin, jobId }) {
+  const query = `
+    query getJob($id: ID!) {
+      job(id: $id) { id done }
+    }
+  `;
+  const deadline = Date.now() + REORDER_JOB_TIMEOUT;
+  while (Date.now() < deadline) {
+    const response = await admin.graphql(query, { variables: { id: jobId } });
+    const data = await response.json();
+    if (data?.data?.job?.done) return;
+    await new Promise((resolve) => setTimeout(resolve, REORDER_JOB_POLL_INTERVAL));
+  }
+  throw new ReorderError(`Reorder job ${jobId} did not finish in time`, 504);
+}
+
+/**
+ * Write a new manual order to Shopify. `productIds` must hold exactly the collection's products;
+ * the moves go out REORDER_MOVES_PER_CALL at a time, each call waiting for its job. Returns the
+ * number of moves made.
+ */
+export async function reorderCollection({ admin, collectionId, productIds }) {
+  const current = (await fetchEditableProducts({ admin, collectionId })).map((product) => product.id);
+  const desired = new Set(productIds);
+  if (desired.size !== productIds.length || current.length !== productIds.length || current.some((id) => !desired.has(id))) {
+    throw new ReorderError("The collection changed while you were editing it; reload and try again", 409);
+  }
+
+  const moves = planReorderMoves(current, productIds);
+  const mutation = `
+    mutation collectionReorderProducts($id: ID!, $moves: [MoveInput!]!) {
+      collectionReorderProducts(id: $id, moves: $moves) {
+        job { id done }
+        userErrors { field message }
+      }
+    }
+  `;
+  for (let i = 0; i < moves.length; i += REORDER_MOVES_PER_CALL) {
+    const batch = moves.slice(i, i + REORDER_MOVES_PER_CALL);
+    const response = await admin.graphql(mutation, { variables: { id: collectionId, moves: batch } });
+    const data = await response.json();
+    const payload = data?.data?.collectionReorderProducts;
+    if (!payload || payload.userErrors?.length) {
+      const message = payload?.userErrors?.map((e) => e.message).join(", ") || "no response";
+      throw new ReorderError(`collectionReorderProducts failed: ${message}`, 400);
+    }
+    console.log(`[editor] reorder ${collectionId}: ${batch.length} moves, job ${payload.job?.id}`);
+    if (payload.job && !payload.job.done) {
+      await waitForJob({ admin, jobId: payload.job.id });
+    }
+  }
+
+  return moves.length;
+}
@@ -0,0 +1,56 @@
+import { describe, expect, it } from "vitest";
+import { ReorderError, parseProductOrder, planReorderMoves } from "./collection-editor.server";
+
+// --- Apply moves the way collectionReorderProducts does: one after another, each to its position ---
+function applyMoves(ids, moves) {
+  const order = [...ids];
+  for (const { id, newPosition } of moves) {
+    order.splice(order.indexOf(id), 1);
+    order.splice(Number(newPosition), 0, id);
+  }
+  return order;
+}
+
+describe("planReorderMoves", () => {
+  it("makes no moves for an unchanged order", () => {
+    expect(planReorderMoves(["a", "b", "c"], ["a", "b", "c"])).toEqual([]);
+  });
+
+  it("moves one product in one move", () => {
+    expect(planReorderMoves(["a", "b", "c", "d"], ["d", "a", "b", "c"])).toEqual([{ id: "d", newPosition: "0" }]);
+  });
+
+  it("reaches the desired order", () => {
+    const current = ["a", "b", "c", "d", "e", "f"];
+    for (const desired of [
+      ["f", "e", "d", "c", "b", "a"],
+      ["b", "a", "d", "c", "f", "e"],
+      ["c", "a", "f", "b", "e", "d"],
+    ]) {
+      expect(applyMoves(current, planReorderMoves(current, desired))).toEqual(desired);
+    }
+  });
+});
+
+describe("parseProductOrder", () => {
+  it("reads a JSON list of product IDs", () => {
+    expect(parseProductOrder('["gid://shopify/Product/1","gid://shopify/Product/2"]')).toEqual([
+      "gid://shopify/Product/1",
+      "gid://shopify/Product/2",
+    ]);
+  });
+
+  it("rejects a missing, malformed or mistyped order with a 400", () => {
+    const rejection = (value) => {
+      try {
+        parseProductOrder(value);
+        return null;
+      } catch (error) {
+        return error instanceof ReorderError ? error.status : error;
+      }
+    };
+    for (const value of [null, "", "not json", "{}", "[1,2]"]) {
+      expect(rejection(value)).toBe(400);
+    }
+  });
+});
@@ -0,0 +1,159 @@
+// --- Collections page: URL params -> search query, sort and cursors of the GraphQL collections query ---
+
+// Sort choices the collections query can do itself.
+export const COLLECTION_LIST_SORTS = {
+  title: { sortKey: "TITLE", reverse: false },
+  "title-desc": { sortKey: "TITLE", reverse: true },
+  updated: { sortKey: "UPDATED_AT", reverse: true },
+};
+
+// Newest rendered_at first. The collections query can't sort by a metafield, so this sort reads
+// every matching collection and sorts and pages them in the app (see sortByRenderedAt).
+export const RENDERED_SORT = "rendered";
+
+// Read from the rendered_at metafield the list shows. "never": no rendered_at yet. "before":
+// rendered_at earlier than `date`.
+export const COLLECTION_LIST_FILTERS = ["all", "never", "before"];
+
+export const COLLECTION_LIST_PAGE_SIZE = 30;
+
+// Pages of collections a filtered list reads per request before it shows what it found so far.
+export const COLLECTION_FILTER_SCAN_PAGES = 10;
+
+/**
+ * Read the list state from the page URL. Unknown values fall back to the defaults, so a
+ * hand-edited URL still loads.
+ */
+export function parseCollectionListParams(searchParams) {
+  const sort = searchParams.get("sort");
+  const rendered = searchParams.get("rendered");
+  const date = searchParams.get("date");
+  return {
+    q: (searchParams.get("q") || "").trim(),
+    sort: COLLECTION_LIST_SORTS[sort] || sort === RENDERED_SORT ? sort : "title",
+    rendered: COLLECTION_LIST_FILTERS.includes(rendered) ? rendered : "all",
+    date: /^\d{4}-\d{2}-\d{2}$/.test(date || "") ? date : null,
+    after: searchParams.get("after") || null,
+    before: searchParams.get("before") || null,
+  };
+}
+
+/**
+ * Build the `query` argument from the title search, matching every word as a prefix. Render
+ * filters can't be expressed in it; see renderedFilter.
+ */
+export function collectionSearchQuery({ q }) {
+  const terms = q
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((word) => `title:${word.replace(/[\\:()"'*]/g, "\\$&")}*`);
+  return terms.length ? terms.join(" AND ") : null;
+}
+
+/**
+ * Predicate for the render filter, applied to a collection's rendered_at value (null when never
+ * rendered), or null when the list is unfiltered.
+ */
+export function renderedFilter({ rendered, date }) {
+  if (rendered === "never") {
+    return (renderedAt) => !renderedAt;
+  }
+  if (rendered === "before" && date) {
+    const cutoff = new Date(`${date}T00:00:00Z`);
+    return (renderedAt) => Boolean(renderedAt) && new Date(renderedAt) < cutoff;
+  }
+  return null;
+}
+
+// --- Helper: Collections by rendered_at, newest first, then the never rendered ones by title ---
+export function sortByRenderedAt(collections) {
+  const time = (col) => (col.renderedAt ? new Date(col.renderedAt).getTime() : -Infinity);
+  return [...collections].sort((a, b) => time(b) - time(a) || a.title.localeCompare(b.title));
+}
+
+/**
+ * One page of a list sorted in the app, shaped like a connection so the page links work the same.
+ * Cursors are positions in the list, so a page reached by them is only exact while the list is.
+ */
+export function pageFromList({ items, after, before, perPage = COLLECTION_LIST_PAGE_SIZE }) {
+  const position = (cursor) => Math.min(Math.max(parseInt(cursor, 10) || 0, 0), items.length);
+  const end = before ? position(before) : Math.min(after ? position(after) + 1 : 0, items.length) + perPage;
+  const start = before ? Math.max(0, end - perPage) : end - perPage;
+  const edges = items.slice(start, end).map((node, i) => ({ node, cursor: String(start + i) }));
+  return {
+    edges,
+    pageInfo: {
+      hasPreviousPage: start > 0,
+      hasNextPage: end < items.length,
+      startCursor: edges.length ? edges[0].cursor : null,
+      endCursor: edges.length ? edges[edges.length - 1].cursor : null,
+    },
+  };
+}
+
+// --- Helper: first/after when paging forward, last/before when paging back ---
+export function collectionPageVariables({ after, before, perPage = COLLECTION_LIST_PAGE_SIZE }) {
+  if (before) {
+    return { first: null, after: null, last: perPage, before };
+  }
+  return { first: perPage, after, last: null, before: null };
+}
+
+/**
+ * One filtered page of a connection: reads pages through `fetchPage(variables)` in the paging
+ * direction and keeps the edges whose node `matches`, until `perPage` are found, the connection
+ * ends or `maxPages` were read. The returned pageInfo points just past the last edge read, so the
+ * next page continues the scan rather than skipping what was not read yet.
+ */
+export async function scanFilteredPage({
+  fetchPage,
+  matches,
+  after,
+  before,
+  perPage = COLLECTION_LIST_PAGE_SIZE,
+  maxPages = COLLECTION_FILTER_SCAN_PAGES,
+}) {
+  const backward = Boolean(before);
+  const edges = [];
+  let cursor = backward ? before : after;
+  let lastRead = cursor;
+  let more = true;
+
+  for (let page = 0; more && edges.length < perPage && page < maxPages; page++) {
+    const variables = collectionPageVariables(backward ? { before: cursor, perPage } : { after: cursor, perPage });
+    const connection = await fetchPage(variables);
+    const read = backward ? [...connection.edges].reverse() : connection.edges;
+    more = backward ? connection.pageInfo.hasPreviousPage : connection.pageInfo.hasNextPage;
+    for (let i = 0; i < read.length; i++) {
+      lastRead = read[i].cursor;
+      if (matches(read[i].node)) edges.push(read[i]);
+      if (edges.length === perPage) {
+        more = more || i < read.length - 1;
+        break;
+      }
+    }
+    cursor = lastRead;
+  }
+
+  if (backward) {
+    edges.reverse();
+    return {
+      edges,
+      pageInfo: {
+        hasPreviousPage: more,
+        hasNextPage: true,
+        startCursor: lastRead,
+        endCursor: edges.length ? edges[edges.length - 1].cursor : before,
+      },
+    };
+  }
+  return {
+    edges,
+    pageInfo: {
+      hasPreviousPage: Boolean(after),
+      hasNextPage: more,
+      startCursor: edges.length ? edges[0].cursor : after,
+      endCursor: lastRead,
+    },
+  };
+}
@@ -0,0 +1,155 @@
+import { describe, expect, it } from "vitest";
+import {
+  collectionSearchQuery,
+  pageFromList,
+  parseCollectionListParams,
+  renderedFilter,
+  scanFilteredPage,
+  sortByRenderedAt,
+} from "./collection-list.server";
+
+// --- Fake collections connection over `nodes`, paged the way the Admin API pages them ---
+function fakeConnection(nodes) {
+  const edges = nodes.map((node, i) => ({ cursor: `c${i}`, node }));
+  const calls = [];
+  const fetchPage = async ({ first, after, last, before }) => {
+    calls.push({ first, after, last, before });
+    const index = (cursor) => edges.findIndex((edge) => edge.cursor === cursor);
+    const page = first
+      ? edges.slice(after ? index(after) + 1 : 0).slice(0, first)
+      : edges.slice(0, index(before)).slice(-last);
+    const start = page.length ? index(page[0].cursor) : 0;
+    return {
+      edges: page,
+      pageInfo: {
+        hasPreviousPage: start > 0,
+        hasNextPage: page.length ? index(page[page.length - 1].cursor) < edges.length - 1 : false,
+      },
+    };
+  };
+  return { fetchPage, calls };
+}
+
+describe("parseCollectionListParams", () => {
+  it("falls back to the defaults for unknown values", () => {
+    const params = parseCollectionListParams(new URLSearchParams("sort=random&rendered=soon&date=today"));
+    expect(params).toMatchObject({ q: "", sort: "title", rendered: "all", date: null });
+  });
+
+  it("accepts the in-app rendered sort", () => {
+    expect(parseCollectionListParams(new URLSearchParams("sort=rendered")).sort).toBe("rendered");
+  });
+});
+
+describe("collectionSearchQuery", () => {
+  it("matches every word as an escaped title prefix", () => {
+    expect(collectionSearchQuery({ q: "summer  sale:2" })).toBe("title:summer* AND title:sale\\:2*");
+  });
+
+  it("is null without a search", () => {
+    expect(collectionSearchQuery({ q: "" })).toBeNull();
+  });
+});
+
+describe("renderedFilter", () => {
+  const keeps = (filter, renderedAt) => renderedFilter(filter)(renderedAt);
+
+  it("keeps collections without rendered_at for never", () => {
+    expect(keeps({ rendered: "never" }, null)).toBe(true);
+    expect(keeps({ rendered: "never" }, "2026-10-01T00:00:00.000Z")).toBe(false);
+  });
+
+  it("keeps collections rendered before the start of the date", () => {
+    const before = { rendered: "before", date: "2026-10-02" };
+    expect(keeps(before, "2026-10-01T23:59:59.000Z")).toBe(true);
+    expect(keeps(before, "2026-10-02T00:00:00.000Z")).toBe(false);
+    expect(keeps(before, null)).toBe(false);
+  });
+
+  it("is null when the list is unfiltered", () => {
+    expect(renderedFilter({ rendered: "all" })).toBeNull();
+    expect(renderedFilter({ rendered: "before", date: null })).toBeNull();
+  });
+});
+
+describe("scanFilteredPage", () => {
+  const nodes = Array.from({ length: 10 }, (_, i) => ({ id: i, even: i % 2 === 0 }));
+  const matches = (node) => node.even;
+
+  it("reads pages until it has a full page of matches", async () => {
+    const { fetchPage, calls } = fakeConnection(nodes);
+    const page = await scanFilteredPage({ fetchPage, matches, after: null, before: null, perPage: 3 });
+    expect(page.edges.map((edge) => edge.node.id)).toEqual([0, 2, 4]);
+    expect(page.pageInfo).toEqual({ hasPreviousPage: false, hasNextPage: true, startCursor: "c0", endCursor: "c4" });
+    expect(calls).toHaveLength(2);
+  });
+
+  it("continues from the end cursor and stops at the end of the connection", async () => {
+    const { fetchPage } = fakeConnection(nodes);
+    const page = await scanFilteredPage({ fetchPage, matches, after: "c4", before: null, perPage: 3 });
+    expect(page.edges.map((edge) => edge.node.id)).toEqual([6, 8]);
+    expect(page.pageInfo).toMatchObject({ hasPreviousPage: true, hasNextPage: false });
+  });
+
+  it("pages back from the start cursor", async () => {
+    const { fetchPage } = fakeConnection(nodes);
+    const page = await scanFilteredPage({ fetchPage, matches, after: null, before: "c6", perPage: 2 });
+    expect(page.edges.map((edge) => edge.node.id)).toEqual([2, 4]);
+    expect(page.pageInfo).toEqual({ hasPreviousPage: true, hasNextPage: true, startCursor: "c2", endCursor: "c4" });
+  });
+
+  it("stops after maxPages and resumes after the last collection read", async () => {
+    const { fetchPage, calls } = fakeConnection(nodes);
+    const none = () => false;
+    const page = await scanFilteredPage({
+      fetchPage,
+      matches: none,
+      after: null,
+      before: null,
+      perPage: 2,
+      maxPages: 2,
+    });
+    expect(page.edges).toEqual([]);
+    expect(page.pageInfo).toMatchObject({ hasNextPage: true, endCursor: "c3" });
+    expect(calls).toHaveLength(2);
+  });
+});
+
+describe("sortByRenderedAt", () => {
+  it("puts the newest render first and never rendered collections last by title", () => {
+    const titles = (collections) => sortByRenderedAt(collections).map((col) => col.title);
+    const order = titles([
+      { title: "Beta", renderedAt: null },
+      { title: "Old", renderedAt: "2026-09-01T00:00:00.000Z" },
+      { title: "Alpha", renderedAt: null },
+      { title: "New", renderedAt: "2026-10-01T00:00:00.000Z" },
+    ]);
+    expect(order).toEqual(["New", "Old", "Alpha", "Beta"]);
+  });
+});
+
+describe("pageFromList", () => {
+  const items = ["a", "b", "c", "d", "e"];
+  const ids = (page) => page.edges.map((edge) => edge.node);
+
+  it("pages forward from the end cursor", () => {
+    const first = pageFromList({ items, after: null, before: null, perPage: 2 });
+    expect(ids(first)).toEqual(["a", "b"]);
+    expect(first.pageInfo).toEqual({ hasPreviousPage: false, hasNextPage: true, startCursor: "0", endCursor: "1" });
+
+    const last = pageFromList({ items, after: "3", before: null, perPage: 2 });
+    expect(ids(last)).toEqual(["e"]);
+    expect(last.pageInfo).toMatchObject({ hasPreviousPage: true, hasNextPage: false });
+  });
+
+  it("pages back from the start cursor", () => {
+    const page = pageFromList({ items, after: null, before: "3", perPage: 2 });
+    expect(ids(page)).toEqual(["b", "c"]);
+    expect(page.pageInfo).toMatchObject({ hasPreviousPage: true, hasNextPage: true });
+  });
+
+  it("clamps cursors that point past the list", () => {
+    expect(ids(pageFromList({ items, after: "9", before: null, perPage: 2 }))).toEqual([]);
+    expect(ids(pageFromList({ items, after: null, before: "-4", perPage: 2 }))).toEqual([]);
+  });
+});
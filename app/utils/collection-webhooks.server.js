@@ -0,0 +1,67 @@
+// --- Collection webhooks: debounced re-render on create/update, rank cleanup on delete ---
+import db from "../db.server";
+import { JOB_KIND, JOB_STATUS, JOB_TRIGGER, enqueueCleanupJob, enqueueRenderJob } from "./render-jobs.server";
+
+// Quiet period after the last webhook before the re-render runs (ms).
+export const COLLECTION_WEBHOOK_DEBOUNCE =
+  parseInt(process.env.COLLECTION_WEBHOOK_DEBOUNCE || "30000", 10) || 30000;
+
+/**
+ * Queue a debounced render for a collection from a webhook payload. Any sort order is rendered,
+ * so a change of sort order or smart collection rules re-ranks it. The render itself runs in the
+ * job worker with the shop's offline session.
+ */
+export async function handleCollectionWebhook({ shop, topic, payload, session }) {
+  if (!session) {
+    // The app was uninstalled; there is no offline session to render with.
+    return { queued: false, reason: "no-session" };
+  }
+
+  const collectionId = payload.admin_graphql_api_id;
+
+  // Our own render stamps rendered_at through collectionUpdate, which fires collections/update.
+  // An update between that stamp and the end of the job is the echo; anything earlier (a merchant
+  // reorder made while the render ran) or later is a real change. updated_at has whole seconds.
+  if (payload.updated_at) {
+    const lastJob = await db.renderJob.findFirst({
+      where: { shop, collectionId, kind: JOB_KIND.RENDER, status: JOB_STATUS.SUCCEEDED, renderedAt: { not: null } },
+      orderBy: { finishedAt: "desc" },
+    });
+    const updatedAt = new Date(payload.updated_at).getTime();
+    if (
+      lastJob?.finishedAt &&
+      updatedAt >= Math.floor(lastJob.renderedAt.getTime() / 1000) * 1000 &&
+      updatedAt <= lastJob.finishedAt.getTime()
+    ) {
+      return { queued: false, reason: "own-update" };
+    }
+  }
+
+  const job = await enqueueRenderJob({
+    shop,
+    collectionId,
+    collectionHandle: payload.handle,
+    delay: COLLECTION_WEBHOOK_DEBOUNCE,
+    trigger: JOB_TRIGGER.WEBHOOK,
+  });
+  console.log(`[${topic}] render ${job.id} scheduled for ${payload.handle}`);
+  return { queued: true, job };
+}
+
+/**
+ * collections/delete only carries the collection ID; the handle (and so the rank key) comes
+ * from the last job recorded for that collection.
+ */
+export async function handleCollectionDeleteWebhook({ shop, topic, payload, session }) {
+  if (!session) {
+    return { queued: false, reason: "no-session" };
+  }
+
+  const collectionId = payload.admin_graphql_api_id || `gid://shopify/Collection/${payload.id}`;
+  const job = await enqueueCleanupJob({ shop, collectionId });
+  if (!job) {
+    return { queued: false, reason: "never-rendered" };
+  }
+  console.log(`[${topic}] cleanup ${job.id} queued for ${job.collectionHandle}`);
+  return { queued: true, job };
+}
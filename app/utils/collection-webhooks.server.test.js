@@ -0,0 +1,64 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import db from "../db.server";
+import { handleCollectionWebhook } from "./collection-webhooks.server";
+
+vi.mock("../db.server", () => ({
+  default: { renderJob: { findFirst: vi.fn(), create: vi.fn() } },
+}));
+vi.mock("../shopify.server", () => ({ unauthenticated: {} }));
+
+const shop = "test.myshopify.com";
+const collectionId = "gid://shopify/Collection/1";
+
+// The render stamped rendered_at at 12:00:00.750 and finished two seconds later.
+const lastRender = {
+  id: "job-1",
+  renderedAt: new Date("2026-10-19T12:00:00.750Z"),
+  finishedAt: new Date("2026-10-19T12:00:02.500Z"),
+};
+
+function webhook(updatedAt) {
+  return handleCollectionWebhook({
+    shop,
+    topic: "collections/update",
+    session: { shop },
+    payload: { admin_graphql_api_id: collectionId, handle: "sale", updated_at: updatedAt },
+  });
+}
+
+beforeEach(() => {
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  db.renderJob.findFirst.mockImplementation(async ({ where }) => (where.status === "succeeded" ? lastRender : null));
+  db.renderJob.create.mockImplementation(async ({ data }) => ({ id: "job-2", ...data }));
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe("handleCollectionWebhook", () => {
+  it("treats an update from the rendered_at second through the end of the job as the echo", async () => {
+    // updated_at has whole seconds, so the stamp at .750 shows up as 12:00:00.
+    for (const updatedAt of ["2026-10-19T12:00:00Z", "2026-10-19T12:00:01Z", "2026-10-19T12:00:02.500Z"]) {
+      expect(await webhook(updatedAt)).toEqual({ queued: false, reason: "own-update" });
+    }
+    expect(db.renderJob.create).not.toHaveBeenCalled();
+  });
+
+  it("re-renders for updates before the stamp or after the job", async () => {
+    for (const updatedAt of ["2026-10-19T11:59:59Z", "2026-10-19T12:00:03Z"]) {
+      expect(await webhook(updatedAt)).toMatchObject({ queued: true });
+    }
+    expect(db.renderJob.create).toHaveBeenCalledTimes(2);
+  });
+
+  it("re-renders when the collection was never rendered", async () => {
+    db.renderJob.findFirst.mockResolvedValue(null);
+    expect(await webhook("2026-10-19T12:00:01Z")).toMatchObject({ queued: true });
+  });
+
+  it("does nothing without an offline session", async () => {
+    const result = await handleCollectionWebhook({ shop, topic: "collections/update", payload: {}, session: null });
+    expect(result).toEqual({ queued: false, reason: "no-session" });
+  });
+});
@@ -0,0 +1,102 @@
+// --- Minimal 5-field cron expressions (minute hour day-of-month month day-of-week), evaluated in UTC ---
+
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  // 0 and 7 are both Sunday.
+  { name: "day of week", min: 0, max: 7 },
+];
+
+// Give up looking for a matching minute after four years and a day, so a leap day ("0 0 29 2 *") is
+// still found but "0 0 31 2 *" is not.
+const MAX_SEARCH_DAYS = 366 * 4 + 1;
+
+// --- Error for expressions that can't be parsed ---
+export class CronError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CronError";
+  }
+}
+
+// --- Helper: Expand one field ("*", "5", "1-5", "*/15", "0,30", "9-17/2") into its allowed values ---
+function parseField(part, { name, min, max }) {
+  const values = new Set();
+  for (const item of part.split(",")) {
+    const [range, stepText] = item.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new CronError(`Invalid step "${stepText}" in ${name}`);
+    }
+
+    let from = min;
+    let to = max;
+    if (range !== "*") {
+      const [startText, endText] = range.split("-");
+      from = Number(startText);
+      to = endText === undefined ? (stepText === undefined ? from : max) : Number(endText);
+    }
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < min || to > max || from > to) {
+      throw new CronError(`Invalid ${name} "${item}" (allowed ${min}-${max})`);
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(name === "day of week" ? value % 7 : value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Parse a cron expression into the sets of allowed values per field. Throws CronError.
+ */
+export function parseCron(expression) {
+  const parts = String(expression || "").trim().split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new CronError(`Expected 5 fields (minute hour day month weekday), got ${parts.length}`);
+  }
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, CRON_FIELDS[i]));
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // Like cron, a restricted day of month and day of week match when either one does.
+    anyDay: parts[2] === "*" || parts[4] === "*",
+  };
+}
+
+// --- Helper: Whether the UTC day of a date matches a parsed expression ---
+function dayMatches(cron, date) {
+  if (!cron.months.has(date.getUTCMonth() + 1)) return false;
+  const dayMatch = cron.days.has(date.getUTCDate());
+  const weekdayMatch = cron.weekdays.has(date.getUTCDay());
+  return cron.anyDay ? dayMatch && weekdayMatch : dayMatch || weekdayMatch;
+}
+
+/**
+ * The first minute strictly after `from` that matches `expression`.
+ */
+export function nextCronRun(expression, from = new Date()) {
+  const cron = parseCron(expression);
+  const date = new Date(from.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+  const limit = date.getTime() + MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+  // Skip whole days and hours that can't match, then step minute by minute.
+  while (date.getTime() < limit) {
+    if (!dayMatches(cron, date)) {
+      date.setUTCHours(24, 0, 0, 0);
+    } else if (!cron.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+    } else {
+      return new Date(date.getTime());
+    }
+  }
+  throw new CronError(`"${expression}" never matches`);
+}
@@ -0,0 +1,58 @@
+import { describe, expect, it } from "vitest";
+import { CronError, nextCronRun, parseCron } from "./cron.server";
+
+describe("parseCron", () => {
+  it("expands lists, ranges and steps", () => {
+    const cron = parseCron("*/15 9-17/4 1,15 * 1-5");
+    expect([...cron.minutes]).toEqual([0, 15, 30, 45]);
+    expect([...cron.hours]).toEqual([9, 13, 17]);
+    expect([...cron.days]).toEqual([1, 15]);
+    expect(cron.months.size).toBe(12);
+    expect([...cron.weekdays]).toEqual([1, 2, 3, 4, 5]);
+    expect(cron.anyDay).toBe(false);
+  });
+
+  it("treats 7 as Sunday", () => {
+    expect([...parseCron("0 0 * * 7").weekdays]).toEqual([0]);
+  });
+
+  it("reads a stepped single value as running to the end of the field", () => {
+    expect([...parseCron("50/5 * * * *").minutes]).toEqual([50, 55]);
+  });
+
+  it("rejects malformed expressions", () => {
+    for (const expression of ["", "* * * *", "60 * * * *", "* * 0 * *", "*/0 * * * *", "5-1 * * * *", "a * * * *"]) {
+      expect(() => parseCron(expression)).toThrow(CronError);
+    }
+  });
+});
+
+describe("nextCronRun", () => {
+  const from = new Date("2026-10-19T10:07:30Z");
+
+  it("finds the next matching minute strictly after from", () => {
+    expect(nextCronRun("*/15 * * * *", from).toISOString()).toBe("2026-10-19T10:15:00.000Z");
+    expect(nextCronRun("7 10 * * *", from).toISOString()).toBe("2026-10-20T10:07:00.000Z");
+    expect(nextCronRun("0 3 * * *", from).toISOString()).toBe("2026-10-20T03:00:00.000Z");
+  });
+
+  it("matches either a restricted day of month or day of week", () => {
+    // 2026-10-19 is a Monday; the next Saturday is the 24th, before the 1st of next month.
+    expect(nextCronRun("0 0 1 * 6", from).toISOString()).toBe("2026-10-24T00:00:00.000Z");
+  });
+
+  it("requires both when one of them is unrestricted", () => {
+    expect(nextCronRun("0 0 1 * *", from).toISOString()).toBe("2026-11-01T00:00:00.000Z");
+  });
+
+  it("finds a leap day more than a year away", () => {
+    expect(nextCronRun("0 0 29 2 *", from).toISOString()).toBe("2028-02-29T00:00:00.000Z");
+    expect(nextCronRun("30 12 29 2 *", new Date("2028-02-29T12:30:00Z")).toISOString()).toBe(
+      "2032-02-29T12:30:00.000Z",
+    );
+  });
+
+  it("gives up on expressions that never match", () => {
+    expect(() => nextCronRun("0 0 31 2 *", from)).toThrow(CronError);
+  });
+});
@@ -0,0 +1,259 @@
+// --- Metafield definitions for the rank product metafields (`custom.<handle>_rank` by default) ---
+import db from "../db.server";
+import { DEFAULT_SHOP_SETTINGS, keyTemplatePattern } from "./shop-settings.server";
+import { DEFAULT_RANK_STRATEGY, rankValidations } from "./rank-plan.server";
+
+// Shopify pins at most this many product metafield definitions; past it new ones are created unpinned.
+export const MAX_PINNED_DEFINITIONS = 20;
+
+// --- Helper: The definition input the app wants for one collection's rank key ---
+export function rankDefinitionInput({
+  key,
+  title,
+  namespace = DEFAULT_SHOP_SETTINGS.namespace,
+  type = DEFAULT_SHOP_SETTINGS.valueType,
+  strategy = DEFAULT_RANK_STRATEGY,
+}) {
+  return {
+    name: `${title || key} rank`,
+    namespace,
+    key,
+    description: `Position of the product in the "${title || key}" collection. Written by Algolia Sync Manual Sort.`,
+    type,
+    ownerType: "PRODUCT",
+    pin: true,
+    validations: rankValidations(strategy),
+    access: { storefront: "PUBLIC_READ" },
+    capabilities: { adminFilterable: { enabled: true } },
+  };
+}
+
+const DEFINITION_FIELDS = `
+  id
+  name
+  namespace
+  key
+  description
+  type { name }
+  validations { name value }
+  access { storefront }
+  pinnedPosition
+  metafieldsCount
+`;
+
+/**
+ * Every product definition in `namespace` whose key looks like a rank key: produced by
+ * `keyTemplate`, or one of `keys` (stored keys from an earlier template).
+ */
+export async function fetchRankDefinitions({
+  admin,
+  namespace = DEFAULT_SHOP_SETTINGS.namespace,
+  keyTemplate = DEFAULT_SHOP_SETTINGS.keyTemplate,
+  keys = [],
+}) {
+  const pattern = keyTemplatePattern(keyTemplate);
+  const known = new Set(keys);
+  const query = `
+    query getRankDefinitions($first: Int!, $after: String, $namespace: String!) {
+      metafieldDefinitions(first: $first, after: $after, ownerType: PRODUCT, namespace: $namespace) {
+        pageInfo { hasNextPage endCursor }
+        nodes { ${DEFINITION_FIELDS} }
+      }
+    }
+  `;
+  const definitions = [];
+  let after = null;
+  let hasNextPage = true;
+
+  while (hasNextPage) {
+    const response = await admin.graphql(query, { variables: { first: 250, after, namespace } });
+    const data = await response.json();
+    const connection = data?.data?.metafieldDefinitions;
+    if (!connection) {
+      throw new Error("Failed to fetch metafield definitions");
+    }
+    definitions.push(...connection.nodes.filter((node) => pattern.test(node.key) || known.has(node.key)));
+    hasNextPage = connection.pageInfo.hasNextPage;
+    after = connection.pageInfo.endCursor;
+  }
+
+  return definitions;
+}
+
+// --- Helper: The definition for one key, or null ---
+export async function fetchRankDefinition({ admin, key, namespace = DEFAULT_SHOP_SETTINGS.namespace }) {
+  const query = `
+    query getRankDefinition($namespace: String!, $key: String!) {
+      metafieldDefinitions(first: 1, ownerType: PRODUCT, namespace: $namespace, key: $key) {
+        nodes { ${DEFINITION_FIELDS} }
+      }
+    }
+  `;
+  const response = await admin.graphql(query, { variables: { namespace, key } });
+  const data = await response.json();
+  return data?.data?.metafieldDefinitions?.nodes?.[0] || null;
+}
+
+// --- Helper: Whether an existing definition differs from what the app would create ---
+export function definitionDrift(definition, input) {
+  const drift = [];
+  if (definition.type?.name !== input.type) drift.push("type");
+  if (definition.access?.storefront !== input.access.storefront) drift.push("storefront access");
+  const validations = (definition.validations || []).map((v) => `${v.name}=${v.value}`).sort();
+  const wanted = input.validations.map((v) => `${v.name}=${v.value}`).sort();
+  if (JSON.stringify(validations) !== JSON.stringify(wanted)) drift.push("validations");
+  return drift;
+}
+
+// --- Helper: How many product definitions are pinned, counted up to the limit ---
+async function countPinnedDefinitions({ admin }) {
+  const query = `
+    query countPinnedDefinitions($first: Int!) {
+      metafieldDefinitions(first: $first, ownerType: PRODUCT, pinnedStatus: PINNED) {
+        nodes { id }
+      }
+    }
+  `;
+  const response = await admin.graphql(query, { variables: { first: MAX_PINNED_DEFINITIONS } });
+  const data = await response.json();
+  return data?.data?.metafieldDefinitions?.nodes?.length ?? MAX_PINNED_DEFINITIONS;
+}
+
+/**
+ * Create a rank definition and record it as the app's, so the definitions page may later offer
+ * to delete it. It is pinned only while the shop is under MAX_PINNED_DEFINITIONS.
+ */
+export async function createRankDefinition({ admin, shop, input }) {
+  const pin = input.pin && (await countPinnedDefinitions({ admin })) < MAX_PINNED_DEFINITIONS;
+  const mutation = `
+    mutation metafieldDefinitionCreate($definition: MetafieldDefinitionInput!) {
+      metafieldDefinitionCreate(definition: $definition) {
+        createdDefinition { id key }
+        userErrors { field message code }
+      }
+    }
+  `;
+  const response = await admin.graphql(mutation, { variables: { definition: { ...input, pin } } });
+  const data = await response.json();
+  const payload = data?.data?.metafieldDefinitionCreate;
+  if (payload?.userErrors?.length) {
+    throw new Error(`metafieldDefinitionCreate failed: ${payload.userErrors.map((e) => e.message).join(", ")}`);
+  }
+  console.log(`[definitions] created ${input.namespace}.${input.key}${pin ? " (pinned)" : ""}`);
+  const created = payload?.createdDefinition;
+  if (created) {
+    await db.rankDefinition.upsert({
+      where: { shop_definitionId: { shop, definitionId: created.id } },
+      create: { shop, definitionId: created.id, namespace: input.namespace, key: input.key },
+      update: {},
+    });
+  }
+  return created;
+}
+
+// The type of a definition can't change after creation and pinning is left as the merchant set it,
+// so only the other fields are updated.
+export async function updateRankDefinition({ admin, input }) {
+  const mutation = `
+    mutation metafieldDefinitionUpdate($definition: MetafieldDefinitionUpdateInput!) {
+      metafieldDefinitionUpdate(definition: $definition) {
+        updatedDefinition { id key }
+        userErrors { field message code }
+      }
+    }
+  `;
+  const { name, namespace, key, ownerType, description, validations, access, capabilities } = input;
+  const definition = { name, namespace, key, ownerType, description, validations, access, capabilities };
+  const response = await admin.graphql(mutation, { variables: { definition } });
+  const data = await response.json();
+  const payload = data?.data?.metafieldDefinitionUpdate;
+  if (payload?.userErrors?.length) {
+    throw new Error(`metafieldDefinitionUpdate failed: ${payload.userErrors.map((e) => e.message).join(", ")}`);
+  }
+  console.log(`[definitions] updated ${input.namespace}.${input.key}`);
+  return payload?.updatedDefinition;
+}
+
+export async function deleteRankDefinition({ admin, id, deleteAllAssociatedMetafields = true }) {
+  const mutation = `
+    mutation metafieldDefinitionDelete($id: ID!, $deleteAllAssociatedMetafields: Boolean!) {
+      metafieldDefinitionDelete(id: $id, deleteAllAssociatedMetafields: $deleteAllAssociatedMetafields) {
+        deletedDefinitionId
+        userErrors { field message code }
+      }
+    }
+  `;
+  const response = await admin.graphql(mutation, { variables: { id, deleteAllAssociatedMetafields } });
+  const data = await response.json();
+  const payload = data?.data?.metafieldDefinitionDelete;
+  if (payload?.userErrors?.length) {
+    throw new Error(`metafieldDefinitionDelete failed: ${payload.userErrors.map((e) => e.message).join(", ")}`);
+  }
+  await db.rankDefinition.deleteMany({ where: { definitionId: id } });
+  console.log(`[definitions] deleted ${id}`);
+  return payload?.deletedDefinitionId;
+}
+
+// --- Helper: IDs of the definitions the app created for a shop ---
+export async function getOwnedDefinitionIds({ shop }) {
+  const records = await db.rankDefinition.findMany({ where: { shop }, select: { definitionId: true } });
+  return new Set(records.map((record) => record.definitionId));
+}
+
+/**
+ * Make sure the rank key of a collection has a definition. Called before every render, so a
+ * missing definition is created the first time a collection is ranked, and validations follow
+ * the collection's numbering strategy before any value outside the old range is written.
+ */
+export async function ensureRankDefinition({ admin, shop, key, title, namespace, type, strategy }) {
+  const input = rankDefinitionInput({ key, title, namespace, type, strategy });
+  const existing = await fetchRankDefinition({ admin, key: input.key, namespace: input.namespace });
+  if (!existing) return createRankDefinition({ admin, shop, input });
+  if (definitionDrift(existing, input).includes("validations")) {
+    await updateRankDefinition({ admin, input });
+  }
+  return existing;
+}
+
+/**
+ * Compare rank definitions with the shop's collections. Each collection carries the `namespace`,
+ * `rankKey` and `valueType` it is ranked under (stored, or from the settings if never ranked)
+ * and its numbering `strategy`.
+ * Returns one row per collection that has been ranked or has a definition:
+ * - `missing`: ranked collection without a definition
+ * - `drift`: definition exists but differs from what the app creates
+ * - `ok`: definition matches
+ * - `orphaned`: definition the app created (`ownedIds`) whose collection no longer exists
+ * Unmatched definitions the app didn't create are left out: they may be the merchant's own.
+ */
+export function reconcileRankDefinitions({ definitions, collections, rankedIds, ownedIds }) {
+  const byKey = new Map(definitions.map((definition) => [`${definition.namespace}.${definition.key}`, definition]));
+  const rows = [];
+  const matched = new Set();
+
+  for (const col of collections) {
+    const input = rankDefinitionInput({
+      key: col.rankKey,
+      title: col.title,
+      namespace: col.namespace,
+      type: col.valueType,
+      strategy: col.strategy,
+    });
+    const definition = byKey.get(`${input.namespace}.${input.key}`);
+    if (definition) {
+      matched.add(definition.id);
+      const drift = definitionDrift(definition, input);
+      rows.push({ status: drift.length ? "drift" : "ok", drift, collection: col, definition, input });
+    } else if (rankedIds.has(col.id)) {
+      rows.push({ status: "missing", drift: [], collection: col, definition: null, input });
+    }
+  }
+
+  for (const definition of definitions) {
+    if (!matched.has(definition.id) && ownedIds.has(definition.id)) {
+      rows.push({ status: "orphaned", drift: [], collection: null, definition, input: null });
+    }
+  }
+
+  return rows;
+}
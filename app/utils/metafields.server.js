@@ -0,0 +1,293 @@
+// --- Batched metafield writes via the Admin GraphQL `metafieldsSet` mutation ---
+
+// metafieldsSet accepts at most 25 metafields per call.
+export const METAFIELDS_SET_BATCH_SIZE = 25;
+
+// Number of metafieldsSet calls allowed in flight at once (override with METAFIELDS_SET_CONCURRENCY).
+export const DEFAULT_METAFIELDS_SET_CONCURRENCY =
+  parseInt(process.env.METAFIELDS_SET_CONCURRENCY || "4", 10) || 4;
+
+const METAFIELDS_SET_MUTATION = `
+  mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      metafields {
+        id
+        ownerType
+      }
+      userErrors {
+        field
+        message
+        code
+      }
+    }
+  }
+`;
+
+// --- Helper: Split an array into chunks of `size` ---
+export function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// --- Helper: Run `worker` over `items` with at most `concurrency` promises pending ---
+export async function runWithConcurrency(items, concurrency, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+}
+
+/**
+ * userErrors of one metafieldsSet or metafieldsDelete call, as messages keyed by the index of the
+ * input they reject (`field` is `["metafields", "<index>", ...]`). An error that names no input
+ * rejects all `count` of them.
+ */
+export function rejectedMetafields(userErrors, count) {
+  const rejected = new Map();
+  for (const error of userErrors || []) {
+    const index = parseInt(error.field?.[1], 10);
+    const indexes = index >= 0 && index < count ? [index] : Array.from({ length: count }, (_, i) => i);
+    for (const i of indexes) {
+      rejected.set(i, rejected.has(i) ? `${rejected.get(i)}, ${error.message}` : error.message);
+    }
+  }
+  return rejected;
+}
+
+/**
+ * Rejections of one metafieldsSet call. The mutation is atomic: when any input is rejected none of
+ * the call is written, so every other input is rejected along with it.
+ */
+export function rejectedMetafieldsSet(userErrors, count) {
+  const rejected = rejectedMetafields(userErrors, count);
+  if (rejected.size === 0) return rejected;
+  for (let i = 0; i < count; i++) {
+    if (!rejected.has(i)) rejected.set(i, "Batch rejected: another metafield in the same call was invalid");
+  }
+  return rejected;
+}
+
+// --- Helper: Fold one call's rejections into the per-product report; the rest of the batch succeeded ---
+export function recordBatchResults(results, batch, rejected) {
+  batch.forEach((item, i) => {
+    if (rejected.has(i)) {
+      results.failed += 1;
+      results.errors.push({ productId: item.productId, title: item.title, error: rejected.get(i) });
+    } else {
+      results.success += 1;
+    }
+  });
+}
+
+// --- Helper: Send one metafieldsSet call, returns its rejections (see rejectedMetafieldsSet) ---
+async function sendMetafieldsSet({ admin, metafields }) {
+  const response = await admin.graphql(METAFIELDS_SET_MUTATION, { variables: { metafields } });
+  const data = await response.json();
+  const payload = data?.data?.metafieldsSet;
+  if (!payload) {
+    throw new Error("metafieldsSet returned no result");
+  }
+  if (payload.userErrors?.length) {
+    console.error("metafieldsSet userErrors:", payload.userErrors);
+  }
+  return rejectedMetafieldsSet(payload.userErrors, metafields.length);
+}
+
+/**
+ * Write integer rank metafields for many products, 25 owners per metafieldsSet call.
+ *
+ * `entries` is a list of `{ productId, title, key, value }`. The returned object keeps the
+ * per-product `{ success, failed, errors }` shape used by the render action: a product whose
+ * metafield comes back in `userErrors`, or whose call fails outright, counts as failed with the
+ * message, and so does every other product of a call with any `userErrors`. `onProgress` receives the running counts after every call.
+ */
+export async function setProductRanks({
+  admin,
+  entries,
+  namespace = "custom",
+  type = "number_integer",
+  concurrency = DEFAULT_METAFIELDS_SET_CONCURRENCY,
+  onProgress,
+}) {
+  const results = { success: 0, failed: 0, errors: [] };
+  const batches = chunk(entries, METAFIELDS_SET_BATCH_SIZE);
+
+  await runWithConcurrency(batches, concurrency, async (batch, index) => {
+    const metafields = batch.map((entry) => ({
+      ownerId: entry.productId,
+      namespace,
+      key: entry.key,
+      type,
+      value: entry.value.toString(),
+    }));
+    try {
+      console.log(`[metafieldsSet] batch ${index + 1}/${batches.length} (${batch.length} products)`);
+      const rejected = await sendMetafieldsSet({ admin, metafields });
+      recordBatchResults(results, batch, rejected);
+    } catch (error) {
+      console.error(`[metafieldsSet] batch ${index + 1} failed:`, error);
+      results.failed += batch.length;
+      for (const entry of batch) {
+        results.errors.push({
+          productId: entry.productId,
+          title: entry.title,
+          error: error.message,
+        });
+      }
+    }
+    await onProgress?.({ success: results.success, failed: results.failed });
+  });
+
+  return results;
+}
+
+const METAFIELDS_DELETE_MUTATION = `
+  mutation metafieldsDelete($metafields: [MetafieldIdentifierInput!]!) {
+    metafieldsDelete(metafields: $metafields) {
+      deletedMetafields {
+        ownerId
+        namespace
+        key
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+/**
+ * Delete one metafield key from many products through metafieldsDelete, 25 owners per call.
+ * `owners` is a list of `{ productId, title }`; the result has the same shape as setProductRanks.
+ */
+export async function deleteProductMetafields({
+  admin,
+  owners,
+  key,
+  namespace = "custom",
+  concurrency = DEFAULT_METAFIELDS_SET_CONCURRENCY,
+}) {
+  const results = { success: 0, failed: 0, errors: [] };
+  const batches = chunk(owners, METAFIELDS_SET_BATCH_SIZE);
+
+  await runWithConcurrency(batches, concurrency, async (batch, index) => {
+    try {
+      console.log(`[metafieldsDelete] batch ${index + 1}/${batches.length} (${batch.length} products)`);
+      const response = await admin.graphql(METAFIELDS_DELETE_MUTATION, {
+        variables: {
+          metafields: batch.map((owner) => ({ ownerId: owner.productId, namespace, key })),
+        },
+      });
+      const data = await response.json();
+      const payload = data?.data?.metafieldsDelete;
+      if (!payload) {
+        throw new Error("metafieldsDelete returned no result");
+      }
+      if (payload.userErrors?.length) {
+        console.error("metafieldsDelete userErrors:", payload.userErrors);
+      }
+      recordBatchResults(results, batch, rejectedMetafields(payload.userErrors, batch.length));
+    } catch (error) {
+      console.error(`[metafieldsDelete] batch ${index + 1} failed:`, error);
+      results.failed += batch.length;
+      for (const owner of batch) {
+        results.errors.push({ productId: owner.productId, title: owner.title, error: error.message });
+      }
+    }
+  });
+
+  return results;
+}
+
+// --- Helper: Owners of `namespace.key` read through its definition; null when there is no definition ---
+async function fetchDefinedMetafieldOwners({ admin, key, namespace }) {
+  const query = `
+    query getDefinedMetafieldOwners($first: Int!, $after: String, $namespace: String!, $key: String!) {
+      metafieldDefinitions(first: 1, ownerType: PRODUCT, namespace: $namespace, key: $key) {
+        nodes {
+          metafields(first: $first, after: $after) {
+            pageInfo { hasNextPage endCursor }
+            nodes {
+              value
+              owner {
+                ... on Product { id title }
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+  const owners = [];
+  let after = null;
+  let hasNextPage = true;
+
+  while (hasNextPage) {
+    const response = await admin.graphql(query, { variables: { first: 250, after, namespace, key } });
+    const data = await response.json();
+    const definition = data?.data?.metafieldDefinitions?.nodes?.[0];
+    if (!definition) return null;
+    const connection = definition.metafields;
+    for (const node of connection.nodes) {
+      if (node.owner?.id) {
+        owners.push({ productId: node.owner.id, title: node.owner.title, value: node.value });
+      }
+    }
+    hasNextPage = connection.pageInfo.hasNextPage;
+    after = connection.pageInfo.endCursor;
+  }
+
+  return owners;
+}
+
+/**
+ * Every product in the shop that carries `namespace.key`, as `{ productId, title, value }`. When the
+ * key has a definition its metafields are listed directly; otherwise this pages through the whole
+ * catalog reading only that field, so the render creates the definition before calling it.
+ */
+export async function fetchMetafieldOwners({ admin, key, namespace = "custom" }) {
+  const defined = await fetchDefinedMetafieldOwners({ admin, key, namespace });
+  if (defined) return defined;
+
+  const query = `
+    query getMetafieldOwners($first: Int!, $after: String, $namespace: String!, $key: String!) {
+      products(first: $first, after: $after) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          id
+          title
+          metafield(namespace: $namespace, key: $key) { id value }
+        }
+      }
+    }
+  `;
+  const owners = [];
+  let after = null;
+  let hasNextPage = true;
+
+  while (hasNextPage) {
+    const response = await admin.graphql(query, { variables: { first: 250, after, namespace, key } });
+    const data = await response.json();
+    const connection = data?.data?.products;
+    if (!connection) {
+      throw new Error(`Failed to scan products for ${namespace}.${key}`);
+    }
+    for (const node of connection.nodes) {
+      if (node.metafield) {
+        owners.push({ productId: node.id, title: node.title, value: node.metafield.value });
+      }
+    }
+    hasNextPage = connection.pageInfo.hasNextPage;
+    after = connection.pageInfo.endCursor;
+  }
+
+  return owners;
+}
@@ -0,0 +1,89 @@
+import { describe, expect, it } from "vitest";
+import {
+  chunk,
+  recordBatchResults,
+  rejectedMetafields,
+  rejectedMetafieldsSet,
+  runWithConcurrency,
+} from "./metafields.server";
+
+describe("rejectedMetafields", () => {
+  it("keys each error by the input its field names", () => {
+    const rejected = rejectedMetafields(
+      [
+        { field: ["metafields", "1", "value"], message: "Value is invalid" },
+        { field: ["metafields", "1", "type"], message: "Type is wrong" },
+        { field: ["metafields", "3", "ownerId"], message: "Owner not found" },
+      ],
+      4,
+    );
+    expect([...rejected]).toEqual([
+      [1, "Value is invalid, Type is wrong"],
+      [3, "Owner not found"],
+    ]);
+  });
+
+  it("rejects every input for an error that names none, or one out of range", () => {
+    expect([...rejectedMetafields([{ field: null, message: "Throttled" }], 2)]).toEqual([
+      [0, "Throttled"],
+      [1, "Throttled"],
+    ]);
+    expect([...rejectedMetafields([{ field: ["metafields", "9"], message: "Gone" }], 2).keys()]).toEqual([0, 1]);
+  });
+
+  it("is empty without userErrors", () => {
+    expect(rejectedMetafields(undefined, 3).size).toBe(0);
+    expect(rejectedMetafields([], 3).size).toBe(0);
+  });
+});
+
+describe("recordBatchResults", () => {
+  const batch = [
+    { productId: "p1", title: "One" },
+    { productId: "p2", title: "Two" },
+    { productId: "p3", title: "Three" },
+  ];
+
+  it("fails the whole metafieldsSet call when one input is rejected", () => {
+    const results = { success: 0, failed: 0, errors: [] };
+    const userErrors = [{ field: ["metafields", "1", "value"], message: "Value is invalid" }];
+    recordBatchResults(results, batch, rejectedMetafieldsSet(userErrors, batch.length));
+    expect(results.success).toBe(0);
+    expect(results.failed).toBe(3);
+    expect(results.errors.map((error) => [error.productId, error.error])).toEqual([
+      ["p1", expect.stringMatching(/^Batch rejected/)],
+      ["p2", "Value is invalid"],
+      ["p3", expect.stringMatching(/^Batch rejected/)],
+    ]);
+  });
+
+  it("counts a call without userErrors as successes", () => {
+    const results = { success: 0, failed: 0, errors: [] };
+    recordBatchResults(results, batch, rejectedMetafieldsSet([], batch.length));
+    expect(results).toEqual({ success: 3, failed: 0, errors: [] });
+  });
+});
+
+describe("chunk", () => {
+  it("splits into pieces of at most size", () => {
+    expect(chunk([1, 2, 3, 4, 5], 2)).toEqual([[1, 2], [3, 4], [5]]);
+    expect(chunk([], 2)).toEqual([]);
+  });
+});
+
+describe("runWithConcurrency", () => {
+  it("runs every item with at most the given number pending", async () => {
+    let pending = 0;
+    let peak = 0;
+    const seen = [];
+    await runWithConcurrency([1, 2, 3, 4, 5], 2, async (item, index) => {
+      pending++;
+      peak = Math.max(peak, pending);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      seen[index] = item;
+      pending--;
+    });
+    expect(seen).toEqual([1, 2, 3, 4, 5]);
+    expect(peak).toBe(2);
+  });
+});
@@ -0,0 +1,181 @@
+// --- Product ranks: one product's position and stored rank in every collection it belongs to ---
+import { getRankedCollections, storedRankLocation } from "./rank-keys.server";
+import { DEFAULT_RANK_STRATEGY, rankValue } from "./rank-plan.server";
+import { COLLECTION_SORT_KEYS, fetchOrderSamples } from "./render.server";
+
+// "unknown": the product is past the leading products read and its position hasn't been looked up.
+export const PRODUCT_RANK_STATUS = {
+  OK: "ok",
+  MISMATCH: "mismatch",
+  MISSING: "missing",
+  UNKNOWN: "unknown",
+};
+
+// --- Helper: The product and every collection it belongs to ---
+async function fetchProductCollections({ admin, productId }) {
+  const query = `
+    query getProductCollections($id: ID!, $after: String) {
+      product(id: $id) {
+        id
+        title
+        collections(first: 250, after: $after) {
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            id
+            title
+            handle
+            sortOrder
+            productsCount { count }
+          }
+        }
+      }
+    }
+  `;
+  let product = null;
+  const collections = [];
+  let after = null;
+  let hasNextPage = true;
+
+  while (hasNextPage) {
+    const response = await admin.graphql(query, { variables: { id: productId, after } });
+    const data = await response.json();
+    product = data?.data?.product;
+    if (!product) return null;
+    collections.push(...product.collections.nodes);
+    hasNextPage = product.collections.pageInfo.hasNextPage;
+    after = product.collections.pageInfo.endCursor;
+  }
+
+  return { id: product.id, title: product.title, collections };
+}
+
+// --- Helper: Values of a product's metafields in one namespace, keyed by metafield key ---
+async function fetchProductMetafields({ admin, productId, namespace }) {
+  const query = `
+    query getProductMetafields($id: ID!, $namespace: String!, $after: String) {
+      product(id: $id) {
+        metafields(first: 250, namespace: $namespace, after: $after) {
+          pageInfo { hasNextPage endCursor }
+          nodes { key value }
+        }
+      }
+    }
+  `;
+  const values = {};
+  let after = null;
+  let hasNextPage = true;
+
+  while (hasNextPage) {
+    const response = await admin.graphql(query, { variables: { id: productId, namespace, after } });
+    const data = await response.json();
+    const connection = data?.data?.product?.metafields;
+    if (!connection) break;
+    for (const node of connection.nodes) {
+      values[node.key] = node.value;
+    }
+    hasNextPage = connection.pageInfo.hasNextPage;
+    after = connection.pageInfo.endCursor;
+  }
+
+  return values;
+}
+
+// --- Helper: 1-based position of a product in a collection's own order, null if it isn't there ---
+async function findProductPosition({ admin, collectionId, sortOrder, productId }) {
+  const query = `
+    query getCollectionOrder($id: ID!, $after: String, $sortKey: ProductCollectionSortKeys!, $reverse: Boolean!) {
+      collection(id: $id) {
+        products(first: 250, after: $after, sortKey: $sortKey, reverse: $reverse) {
+          pageInfo { hasNextPage endCursor }
+          nodes { id }
+        }
+      }
+    }
+  `;
+  const { sortKey, reverse } = COLLECTION_SORT_KEYS[sortOrder] || { sortKey: "COLLECTION_DEFAULT", reverse: false };
+  let offset = 0;
+  let after = null;
+  let hasNextPage = true;
+
+  while (hasNextPage) {
+    const response = await admin.graphql(query, { variables: { id: collectionId, after, sortKey, reverse } });
+    const data = await response.json();
+    const connection = data?.data?.collection?.products;
+    if (!connection) return null;
+    const index = connection.nodes.findIndex((node) => node.id === productId);
+    if (index !== -1) return offset + index + 1;
+    offset += connection.nodes.length;
+    hasNextPage = connection.pageInfo.hasNextPage;
+    after = connection.pageInfo.endCursor;
+  }
+
+  return null;
+}
+
+/**
+ * For every collection a product is in: its position in Shopify, the rank a render would write
+ * for that position (under the collection's numbering strategy), the rank stored on the product,
+ * and whether the two agree. Returns null when the product doesn't exist.
+ *
+ * Collections aren't read whole up front. Each one's leading products (the order hash sample) are
+ * read in a few batched queries, which gives the position of a product among them. Past them, the
+ * position is only looked up, by paging the collection, for the collection IDs in `locate`; the
+ * other rows stay unknown.
+ */
+export async function getProductRanks({ admin, shop, productId, settings, locate = [] }) {
+  const product = await fetchProductCollections({ admin, productId });
+  if (!product) return null;
+
+  const { collections } = product;
+  const collectionIds = collections.map((col) => col.id);
+  const records = await getRankedCollections({ shop, collectionIds });
+  const locations = collections.map((col) => storedRankLocation(records[col.id], col, settings));
+  const samples = collectionIds.length ? await fetchOrderSamples({ admin, collectionIds }) : {};
+
+  const metafields = {};
+  for (const namespace of new Set(locations.map((location) => location.namespace))) {
+    metafields[namespace] = await fetchProductMetafields({ admin, productId, namespace });
+  }
+
+  const rows = [];
+  for (const [i, col] of collections.entries()) {
+    const { namespace, rankKey } = locations[i];
+    const strategy = records[col.id]?.strategy || DEFAULT_RANK_STRATEGY;
+    const total = col.productsCount?.count ?? 0;
+    const stored = metafields[namespace][rankKey];
+    const storedRank = stored === undefined ? null : Number(stored);
+    const sampleIndex = (samples[col.id] || []).indexOf(productId);
+    const located = sampleIndex !== -1 || locate.includes(col.id);
+    let position = sampleIndex === -1 ? null : sampleIndex + 1;
+    if (position === null && located) {
+      position = await findProductPosition({ admin, collectionId: col.id, sortOrder: col.sortOrder, productId });
+    }
+    const expectedRank = position === null ? null : rankValue(strategy, position - 1, total);
+
+    let status = PRODUCT_RANK_STATUS.OK;
+    if (storedRank === null) {
+      status = PRODUCT_RANK_STATUS.MISSING;
+    } else if (position === null) {
+      status = PRODUCT_RANK_STATUS.UNKNOWN;
+    } else if (storedRank !== expectedRank) {
+      status = PRODUCT_RANK_STATUS.MISMATCH;
+    }
+
+    rows.push({
+      collectionId: col.id,
+      title: col.title,
+      handle: col.handle,
+      sortOrder: col.sortOrder,
+      rankKey: `${namespace}.${rankKey}`,
+      strategy,
+      position,
+      located,
+      total,
+      expectedRank,
+      storedRank,
+      status,
+    });
+  }
+
+  return { product: { id: product.id, title: product.title }, rows };
+}
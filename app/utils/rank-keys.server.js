@@ -0,0 +1,317 @@
+// --- Stable rank keys: collection ID -> metafield namespace, key and type, surviving renames ---
+import db from "../db.server";
+import { deleteProductMetafields, fetchMetafieldOwners, setProductRanks } from "./metafields.server";
+import { deleteRankDefinition, ensureRankDefinition, fetchRankDefinition } from "./metafield-definitions.server";
+import { getAlgoliaConfig, syncRanksToAlgolia } from "./algolia.server";
+import { SettingsError, rankKeyFromTemplate } from "./shop-settings.server";
+import { DEFAULT_RANK_STRATEGY, RANK_STRATEGIES, rankStrategy } from "./rank-plan.server";
+
+// What a render does when the stored location no longer matches the handle or the shop settings:
+// "keep" writes to the stored location, "migrate" moves the ranks to the new one.
+export const RANK_KEY_ON_RENAME = process.env.RANK_KEY_ON_RENAME === "migrate" ? "migrate" : "keep";
+
+// Key a collection falls back to when the settings give it one another collection already holds.
+// Built from the collection ID, which no handle can produce (handles have no underscores).
+const ID_RANK_KEY_TEMPLATE = "collection_{id}_rank";
+
+/**
+ * Where the shop's settings put a collection's ranks: `{ namespace, rankKey, valueType }`.
+ */
+export function rankLocationFor(collection, settings) {
+  return {
+    namespace: settings.namespace,
+    rankKey: rankKeyFromTemplate(settings.keyTemplate, collection),
+    valueType: settings.valueType,
+  };
+}
+
+// --- Helper: Where a collection's ranks are now; never-ranked collections get the settings location ---
+export function storedRankLocation(record, collection, settings) {
+  if (!record) return rankLocationFor(collection, settings);
+  return { namespace: record.namespace, rankKey: record.rankKey, valueType: record.valueType };
+}
+
+export function sameRankLocation(a, b) {
+  return a.namespace === b.namespace && a.rankKey === b.rankKey && a.valueType === b.valueType;
+}
+
+/**
+ * Whether a stored location no longer matches the settings. An ID fallback key (see
+ * availableRankLocation) stands in for the template key, so it isn't flagged for migration.
+ */
+export function rankLocationOutdated(stored, collection, settings) {
+  const target = rankLocationFor(collection, settings);
+  const fallback = stored.rankKey === rankKeyFromTemplate(ID_RANK_KEY_TEMPLATE, collection);
+  return !sameRankLocation(stored, fallback ? { ...target, rankKey: stored.rankKey } : target);
+}
+
+/**
+ * The settings location for a collection, unless another collection of the shop already holds
+ * that key: under the "keep" policy a renamed collection keeps its old handle's key, and a new
+ * collection taking that handle must not write over it. The key then falls back to one built
+ * from the collection ID.
+ */
+export async function availableRankLocation({ shop, collection, settings }) {
+  const location = rankLocationFor(collection, settings);
+  const holder = await db.rankedCollection.findFirst({
+    where: {
+      shop,
+      namespace: location.namespace,
+      rankKey: location.rankKey,
+      NOT: { collectionId: collection.id },
+    },
+  });
+  if (!holder) return location;
+  const rankKey = rankKeyFromTemplate(ID_RANK_KEY_TEMPLATE, collection);
+  console.log(`[rank-keys] ${location.rankKey} is held by ${holder.collectionId}; ${collection.id} uses ${rankKey}`);
+  return { ...location, rankKey };
+}
+
+// --- Helper: Stored key records for a set of collections, keyed by collection ID ---
+export async function getRankedCollections({ shop, collectionIds }) {
+  if (!collectionIds.length) return {};
+  const records = await db.rankedCollection.findMany({
+    where: { shop, collectionId: { in: collectionIds } },
+  });
+  return Object.fromEntries(records.map((record) => [record.collectionId, record]));
+}
+
+export async function getRankedCollection({ shop, collectionId }) {
+  return db.rankedCollection.findUnique({
+    where: { shop_collectionId: { shop, collectionId } },
+  });
+}
+
+/**
+ * Resolve the location a render writes to. The first render stores the settings location (or its
+ * ID fallback, see availableRankLocation); later renders reuse the stored one even if the handle
+ * or the settings changed. `outdated` is true when the stored location no longer matches what the
+ * settings give today, and `target` is where a migration would move it.
+ */
+export async function resolveRankKey({ shop, collection, settings }) {
+  const target = await availableRankLocation({ shop, collection, settings });
+  const record = await getRankedCollection({ shop, collectionId: collection.id });
+  if (!record) {
+    const created = await db.rankedCollection.create({
+      data: { shop, collectionId: collection.id, handle: collection.handle, ...target },
+    });
+    return { ...target, record: created, target, outdated: false };
+  }
+
+  if (record.handle !== collection.handle) {
+    console.log(`[rank-keys] ${collection.id} handle changed ${record.handle} -> ${collection.handle}`);
+    await db.rankedCollection.update({
+      where: { id: record.id },
+      data: { handle: collection.handle },
+    });
+  }
+
+  const stored = storedRankLocation(record, collection, settings);
+  return { ...stored, record, target, outdated: rankLocationOutdated(stored, collection, settings) };
+}
+
+// --- Helper: The location and strategy the next render of `collection` uses, without recording anything ---
+export async function targetRankKey({ shop, collection, settings }) {
+  const record = await getRankedCollection({ shop, collectionId: collection.id });
+  const strategy = record?.strategy || DEFAULT_RANK_STRATEGY;
+  const target = await availableRankLocation({ shop, collection, settings });
+  const stored = record ? storedRankLocation(record, collection, settings) : target;
+  if (!rankLocationOutdated(stored, collection, settings)) {
+    return { ...stored, strategy, migrating: false };
+  }
+  // Renders only move the key; a namespace or value type change needs a migration job.
+  if (RANK_KEY_ON_RENAME === "migrate" && stored.namespace === target.namespace && stored.valueType === target.valueType) {
+    return { ...target, strategy, migrating: true };
+  }
+  return { ...stored, strategy, migrating: false };
+}
+
+/**
+ * Choose how a collection's positions are numbered (see RANK_STRATEGIES). Collections that were
+ * never rendered get their record now, at the settings location. A strategy that needs decimal
+ * values is refused while the ranks are stored as integers; the next render rewrites every rank.
+ */
+export async function setRankStrategy({ shop, collection, settings, strategy }) {
+  if (!RANK_STRATEGIES[strategy]) {
+    throw new SettingsError(`Unknown numbering strategy ${strategy}`, "strategy");
+  }
+  const record = await getRankedCollection({ shop, collectionId: collection.id });
+  const { valueType } = storedRankLocation(record, collection, settings);
+  const needed = rankStrategy(strategy).valueType;
+  if (needed && needed !== valueType) {
+    throw new SettingsError(
+      `${rankStrategy(strategy).label} needs the ${needed} value type; change it in Settings and migrate first`,
+      "strategy",
+    );
+  }
+
+  return db.rankedCollection.upsert({
+    where: { shop_collectionId: { shop, collectionId: collection.id } },
+    create: {
+      shop,
+      collectionId: collection.id,
+      handle: collection.handle,
+      ...(await availableRankLocation({ shop, collection, settings })),
+      strategy,
+    },
+    update: { strategy },
+  });
+}
+
+export async function setRankKey({ shop, collectionId, location }) {
+  return db.rankedCollection.update({
+    where: { shop_collectionId: { shop, collectionId } },
+    data: { namespace: location.namespace, rankKey: location.rankKey, valueType: location.valueType },
+  });
+}
+
+// --- Helper: Remember the order a complete render wrote, for stale detection ---
+export async function setOrderHash({ shop, collectionId, orderHash }) {
+  return db.rankedCollection.update({
+    where: { shop_collectionId: { shop, collectionId } },
+    data: { orderHash },
+  });
+}
+
+// --- Helper: Remember where the last Algolia push of every rank went, or null after a failed push ---
+export async function setAlgoliaAttribute({ shop, collectionId, algoliaAttribute }) {
+  return db.rankedCollection.update({
+    where: { shop_collectionId: { shop, collectionId } },
+    data: { algoliaAttribute },
+  });
+}
+
+// --- Helper: Remove an old key everywhere: product metafields, its definition and Algolia ---
+export async function retireRankKey({ admin, rankKey, namespace, owners = null, syncAlgolia = true }) {
+  const holders = owners || (await fetchMetafieldOwners({ admin, key: rankKey, namespace }));
+  const removal = await deleteProductMetafields({ admin, owners: holders, key: rankKey, namespace });
+
+  const definition = await fetchRankDefinition({ admin, key: rankKey, namespace });
+  if (definition) {
+    await deleteRankDefinition({ admin, id: definition.id, deleteAllAssociatedMetafields: true });
+  }
+
+  const algolia = getAlgoliaConfig();
+  if (syncAlgolia && algolia && holders.length) {
+    try {
+      await syncRanksToAlgolia({
+        config: algolia,
+        rankKey,
+        namespace,
+        ranks: holders.map((owner) => ({ product: { id: owner.productId }, value: null })),
+      });
+    } catch (error) {
+      console.error(`[rank-keys] Algolia cleanup of ${rankKey} failed:`, error);
+    }
+  }
+
+  return removal;
+}
+
+/**
+ * Move a collection's ranks from its stored location to the one its handle and the shop settings
+ * give today: copy every value, then remove the old key, its definition and its Algolia attribute.
+ * When only the value type changed, the definition can't be updated in place: the values are
+ * read first, the key is retired, and the values are written back with the new type.
+ */
+export async function migrateRankKey({ admin, shop, collection, settings, onProgress }) {
+  const record = await getRankedCollection({ shop, collectionId: collection.id });
+  const target = await availableRankLocation({ shop, collection, settings });
+  const from = storedRankLocation(record, collection, settings);
+  if (!record || !rankLocationOutdated(from, collection, settings)) {
+    return {
+      results: { success: 0, failed: 0, errors: [], processed: 0, expected: null },
+      namespace: target.namespace,
+      rankKey: target.rankKey,
+    };
+  }
+
+  const sameKey = from.namespace === target.namespace && from.rankKey === target.rankKey;
+  const owners = await fetchMetafieldOwners({ admin, key: from.rankKey, namespace: from.namespace });
+  console.log(
+    `[rank-keys] migrating ${owners.length} ranks ${from.namespace}.${from.rankKey} -> ` +
+      `${target.namespace}.${target.rankKey} (${target.valueType})`,
+  );
+  await onProgress?.({ processed: 0, total: owners.length, success: 0, failed: 0 });
+
+  if (sameKey) {
+    await retireRankKey({ admin, rankKey: from.rankKey, namespace: from.namespace, owners, syncAlgolia: false });
+  }
+
+  try {
+    await ensureRankDefinition({
+      admin,
+      shop,
+      key: target.rankKey,
+      namespace: target.namespace,
+      type: target.valueType,
+      strategy: record.strategy,
+      title: collection.title,
+    });
+  } catch (error) {
+    console.error(`[rank-keys] could not ensure metafield definition for ${target.rankKey}:`, error);
+  }
+
+  const copy = await setProductRanks({
+    admin,
+    namespace: target.namespace,
+    type: target.valueType,
+    entries: owners.map((owner) => ({
+      productId: owner.productId,
+      title: owner.title,
+      key: target.rankKey,
+      value: Number(owner.value),
+    })),
+    onProgress: ({ success, failed }) =>
+      onProgress?.({ processed: success + failed, total: owners.length, success, failed }),
+  });
+
+  if (!sameKey) {
+    const algolia = getAlgoliaConfig();
+    if (algolia && owners.length) {
+      try {
+        await syncRanksToAlgolia({
+          config: algolia,
+          rankKey: target.rankKey,
+          namespace: target.namespace,
+          ranks: owners.map((owner) => ({ product: { id: owner.productId }, value: Number(owner.value) })),
+        });
+      } catch (error) {
+        console.error(`[rank-keys] Algolia sync of ${target.rankKey} failed:`, error);
+      }
+    }
+
+    // Only retire the old key once every value made it across.
+    if (copy.failed > 0) {
+      return {
+        namespace: from.namespace,
+        rankKey: from.rankKey,
+        results: { ...copy, processed: owners.length, expected: null },
+      };
+    }
+    await retireRankKey({ admin, rankKey: from.rankKey, namespace: from.namespace, owners });
+  }
+
+  // A same-key move already dropped the old values, so the record follows even if some failed.
+  await setRankKey({ shop, collectionId: collection.id, location: target });
+  return {
+    namespace: target.namespace,
+    rankKey: target.rankKey,
+    results: { ...copy, processed: owners.length, expected: null },
+  };
+}
+
+/**
+ * Ranked collections whose stored location no longer matches the shop settings, e.g. after the
+ * namespace, key template or value type changed. Uses the handle recorded at the last render.
+ */
+export async function getOutdatedRankedCollections({ shop, settings }) {
+  const records = await db.rankedCollection.findMany({ where: { shop } });
+  return records.filter((record) =>
+    rankLocationOutdated(
+      storedRankLocation(record, null, settings),
+      { id: record.collectionId, handle: record.handle },
+      settings,
+    ),
+  );
+}
@@ -0,0 +1,125 @@
+// --- Rank plans: compare a collection's order with the ranks currently stored on its products ---
+import { createHash } from "node:crypto";
+
+export const RANK_CHANGE = {
+  NEW: "new",
+  MOVED: "moved",
+  UNCHANGED: "unchanged",
+  REMOVED: "removed",
+};
+
+// How positions become rank values. `direction` is the Algolia customRanking order that puts
+// position 1 first; `valueType` is the metafield type the values need, if integers won't do.
+export const RANK_STRATEGIES = {
+  ascending: { label: "Ascending from 1", direction: "asc" },
+  descending: { label: "Descending score (N..1)", direction: "desc" },
+  gapped_10: { label: "Gapped, step 10", direction: "asc", step: 10 },
+  gapped_100: { label: "Gapped, step 100", direction: "asc", step: 100 },
+  normalized: { label: "Normalized 0-1", direction: "asc", valueType: "number_decimal" },
+};
+
+export const DEFAULT_RANK_STRATEGY = "ascending";
+
+// Decimal places kept for normalized ranks, so stored and computed values compare equal.
+const NORMALIZED_PRECISION = 1e6;
+
+// --- Helper: The strategy config for a name, falling back to the default ---
+export function rankStrategy(name) {
+  return RANK_STRATEGIES[name] || RANK_STRATEGIES[DEFAULT_RANK_STRATEGY];
+}
+
+/**
+ * The rank value of the product at zero-based `index` among `total` products.
+ */
+export function rankValue(strategy, index, total) {
+  switch (RANK_STRATEGIES[strategy] ? strategy : DEFAULT_RANK_STRATEGY) {
+    case "descending":
+      return total - index;
+    case "gapped_10":
+    case "gapped_100":
+      return (index + 1) * RANK_STRATEGIES[strategy].step;
+    case "normalized":
+      return total > 1 ? Math.round((index / (total - 1)) * NORMALIZED_PRECISION) / NORMALIZED_PRECISION : 0;
+    default:
+      return index + 1;
+  }
+}
+
+// --- Helper: Metafield definition validations that fit every value a strategy produces ---
+export function rankValidations(strategy) {
+  if (strategy === "normalized") {
+    return [
+      { name: "min", value: "0" },
+      { name: "max", value: "1" },
+    ];
+  }
+  return [{ name: "min", value: "1" }];
+}
+
+// Leading products whose order goes into an order hash; small enough to read for a whole page of
+// collections in one query.
+export const ORDER_HASH_SAMPLE = 20;
+
+/**
+ * Fingerprint of a collection's order: its product count and the IDs of its first
+ * ORDER_HASH_SAMPLE products, in order. Catches additions, removals and reorders near the top
+ * without reading whole collections.
+ */
+export function orderHash(productIds, count) {
+  return createHash("sha256")
+    .update(`${count}:${productIds.slice(0, ORDER_HASH_SAMPLE).join(",")}`)
+    .digest("hex");
+}
+
+/**
+ * Fingerprint of a whole plan: every row's product, change and new rank, in order. Two plans with
+ * the same hash write the same ranks, so an apply can check it still matches what was previewed.
+ */
+export function planHash(rows) {
+  return createHash("sha256")
+    .update(rows.map((row) => `${row.productId}:${row.change}:${row.newRank ?? ""}`).join(","))
+    .digest("hex");
+}
+
+/**
+ * Diff the collection order of `products` (each carrying `currentRank` from fetchCollectionProducts)
+ * against the stored ranks, numbered by `strategy`. Every product gets a row (new, moved or
+ * unchanged) and every one of `owners` that left the collection gets a `removed` row. `entries`
+ * are the metafield writes a full render would make, tagged with their change.
+ */
+export function planRankChanges({ products, owners, key, strategy = DEFAULT_RANK_STRATEGY }) {
+  const memberIds = new Set(products.map((product) => product.id));
+  const rows = [];
+  const entries = [];
+
+  products.forEach((product, i) => {
+    const newRank = rankValue(strategy, i, products.length);
+    const oldRank = Number.isFinite(product.currentRank) ? product.currentRank : null;
+    let change = RANK_CHANGE.UNCHANGED;
+    if (oldRank === null) {
+      change = RANK_CHANGE.NEW;
+    } else if (oldRank !== newRank) {
+      change = RANK_CHANGE.MOVED;
+    }
+    rows.push({ productId: product.id, title: product.title, oldRank, newRank, change });
+    entries.push({ productId: product.id, title: product.title, key, value: newRank, change });
+  });
+
+  const removed = owners.filter((owner) => !memberIds.has(owner.productId));
+  for (const owner of removed) {
+    rows.push({
+      productId: owner.productId,
+      title: owner.title,
+      oldRank: Number(owner.value),
+      newRank: null,
+      change: RANK_CHANGE.REMOVED,
+    });
+  }
+
+  const counts = Object.fromEntries(Object.values(RANK_CHANGE).map((change) => [change, 0]));
+  for (const row of rows) {
+    counts[row.change]++;
+  }
+
+  return { rows, entries, removed, counts };
+}
@@ -0,0 +1,87 @@
+import { describe, expect, it } from "vitest";
+import { ORDER_HASH_SAMPLE, orderHash, planHash, planRankChanges, rankValue } from "./rank-plan.server";
+
+describe("rankValue", () => {
+  it("numbers positions under every strategy", () => {
+    expect([0, 1, 2].map((i) => rankValue("ascending", i, 3))).toEqual([1, 2, 3]);
+    expect([0, 1, 2].map((i) => rankValue("descending", i, 3))).toEqual([3, 2, 1]);
+    expect([0, 1, 2].map((i) => rankValue("gapped_10", i, 3))).toEqual([10, 20, 30]);
+    expect([0, 1, 2].map((i) => rankValue("gapped_100", i, 3))).toEqual([100, 200, 300]);
+    expect([0, 1, 2].map((i) => rankValue("normalized", i, 3))).toEqual([0, 0.5, 1]);
+  });
+
+  it("gives a single normalized product 0", () => {
+    expect(rankValue("normalized", 0, 1)).toBe(0);
+  });
+
+  it("falls back to ascending for an unknown strategy", () => {
+    expect(rankValue("sideways", 4, 10)).toBe(5);
+  });
+});
+
+describe("orderHash", () => {
+  const ids = Array.from({ length: ORDER_HASH_SAMPLE + 5 }, (_, i) => `gid://shopify/Product/${i}`);
+
+  it("only reads the leading products and the count", () => {
+    const moved = [...ids.slice(0, ORDER_HASH_SAMPLE), ...ids.slice(ORDER_HASH_SAMPLE).reverse()];
+    expect(orderHash(moved, ids.length)).toBe(orderHash(ids, ids.length));
+    expect(orderHash(ids, ids.length + 1)).not.toBe(orderHash(ids, ids.length));
+  });
+
+  it("changes with the order near the top", () => {
+    const swapped = [ids[1], ids[0], ...ids.slice(2)];
+    expect(orderHash(swapped, ids.length)).not.toBe(orderHash(ids, ids.length));
+  });
+});
+
+describe("planRankChanges", () => {
+  const products = [
+    { id: "p1", title: "One", currentRank: 1 },
+    { id: "p2", title: "Two", currentRank: 3 },
+    { id: "p3", title: "Three", currentRank: null },
+  ];
+  const owners = [
+    { productId: "p2", title: "Two", value: "3" },
+    { productId: "p9", title: "Gone", value: "2" },
+  ];
+
+  it("tags every product and every owner that left", () => {
+    const plan = planRankChanges({ products, owners, key: "sale_rank" });
+    expect(plan.rows.map((row) => [row.productId, row.change, row.oldRank, row.newRank])).toEqual([
+      ["p1", "unchanged", 1, 1],
+      ["p2", "moved", 3, 2],
+      ["p3", "new", null, 3],
+      ["p9", "removed", 2, null],
+    ]);
+    expect(plan.counts).toEqual({ new: 1, moved: 1, unchanged: 1, removed: 1 });
+    expect(plan.removed).toEqual([owners[1]]);
+    expect(plan.entries).toEqual([
+      { productId: "p1", title: "One", key: "sale_rank", value: 1, change: "unchanged" },
+      { productId: "p2", title: "Two", key: "sale_rank", value: 2, change: "moved" },
+      { productId: "p3", title: "Three", key: "sale_rank", value: 3, change: "new" },
+    ]);
+  });
+
+  it("numbers by the strategy", () => {
+    const plan = planRankChanges({ products, owners: [], key: "sale_rank", strategy: "descending" });
+    expect(plan.entries.map((entry) => entry.value)).toEqual([3, 2, 1]);
+    expect(plan.rows[0].change).toBe("moved");
+  });
+});
+
+describe("planHash", () => {
+  const plan = (products) => planRankChanges({ products, owners: [], key: "sale_rank" }).rows;
+  const products = [
+    { id: "p1", currentRank: 1 },
+    { id: "p2", currentRank: null },
+  ];
+
+  it("matches for the same plan", () => {
+    expect(planHash(plan(products))).toBe(planHash(plan(products.map((product) => ({ ...product })))));
+  });
+
+  it("changes when the order or a stored rank changes", () => {
+    expect(planHash(plan([...products].reverse()))).not.toBe(planHash(plan(products)));
+    expect(planHash(plan([products[0], { id: "p2", currentRank: 2 }]))).not.toBe(planHash(plan(products)));
+  });
+});
@@ -0,0 +1,428 @@
+// --- Render jobs: persistent queue in Prisma, processed by a single in-process worker ---
+import db from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import {
+  fetchCollection,
+  formatRenderMessage,
+  moveRenderedAt,
+  removeCollectionRanks,
+  renderCollectionRanks,
+} from "./render.server";
+import { getRankedCollection, migrateRankKey, storedRankLocation } from "./rank-keys.server";
+import { getShopSettings } from "./shop-settings.server";
+import { RUN_STATUS, closeInterruptedRuns, finishRenderRun, startRenderRun } from "./render-runs.server";
+
+export const JOB_STATUS = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+};
+
+export const JOB_KIND = {
+  RENDER: "render",
+  CLEANUP: "cleanup",
+  MIGRATE: "migrate",
+  MOVE_RENDERED_AT: "move_rendered_at",
+};
+
+// Shop-wide jobs aren't about one collection; they are queued under this collection ID.
+const SHOP_JOB_COLLECTION_ID = "shop";
+
+export const JOB_TRIGGER = {
+  MANUAL: "manual",
+  WEBHOOK: "webhook",
+  SCHEDULE: "schedule",
+};
+
+// How often the worker looks for queued jobs, and how often progress is written back.
+const WORKER_INTERVAL = parseInt(process.env.RENDER_WORKER_INTERVAL || "2000", 10) || 2000;
+const PROGRESS_WRITE_INTERVAL = 1000;
+
+// Keep at most this many per-product errors on a job row.
+const MAX_STORED_ERRORS = 200;
+
+// --- Helper: Shape a RenderJob row for loaders and the job-status route ---
+export function serializeRenderJob(job) {
+  if (!job) return null;
+  return {
+    id: job.id,
+    kind: job.kind,
+    trigger: job.trigger,
+    changedOnly: job.changedOnly,
+    productIds: job.productIds ? JSON.parse(job.productIds) : null,
+    requestedByName: job.requestedByName,
+    collectionId: job.collectionId,
+    collectionHandle: job.collectionHandle,
+    status: job.status,
+    total: job.totalCount,
+    processed: job.processedCount,
+    success: job.successCount,
+    failed: job.failedCount,
+    errors: job.errors ? JSON.parse(job.errors) : [],
+    message: job.message,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  };
+}
+
+/**
+ * Queue a render for a collection. An already queued or running job for the same collection
+ * is returned instead of creating a duplicate.
+ *
+ * With `delay` (ms) the job waits before it runs, and each further call while it is still
+ * queued pushes it back again, so a burst of triggers collapses into one render.
+ *
+ * Renders are incremental (`changedOnly`) unless asked otherwise; a full render requested while
+ * an incremental one is queued upgrades it.
+ *
+ * `productIds` limits the render to those products, e.g. to retry the writes a run failed. A
+ * queued job that is limited too takes on the extra products; an unlimited request lifts the limit.
+ *
+ * `requestedBy` is the staff user (`{ id, name }`) who asked for it, recorded on the job's runs.
+ */
+export async function enqueueRenderJob({
+  shop,
+  collectionId,
+  collectionHandle,
+  delay = 0,
+  kind = JOB_KIND.RENDER,
+  trigger = JOB_TRIGGER.MANUAL,
+  requestedBy = null,
+  changedOnly = true,
+  productIds = null,
+}) {
+  const runAfter = delay ? new Date(Date.now() + delay) : null;
+  const queued = await db.renderJob.findFirst({
+    where: { shop, collectionId, kind, status: JOB_STATUS.QUEUED },
+    orderBy: { createdAt: "desc" },
+  });
+  if (queued) {
+    const upgrade = queued.changedOnly && !changedOnly;
+    const queuedIds = queued.productIds ? JSON.parse(queued.productIds) : null;
+    const mergedIds = queuedIds && productIds ? [...new Set([...queuedIds, ...productIds])] : null;
+    const widen = queuedIds !== null && (mergedIds === null || mergedIds.length > queuedIds.length);
+    if (!runAfter && !upgrade && !widen) return queued;
+    return db.renderJob.update({
+      where: { id: queued.id },
+      data: {
+        ...(runAfter ? { runAfter, collectionHandle } : {}),
+        changedOnly: queued.changedOnly && changedOnly,
+        ...(widen ? { productIds: mergedIds && JSON.stringify(mergedIds) } : {}),
+      },
+    });
+  }
+
+  // A running job may already have read the old order, so a delayed trigger queues a follow-up.
+  const running = await db.renderJob.findFirst({
+    where: { shop, collectionId, kind, status: JOB_STATUS.RUNNING },
+  });
+  if (running && !runAfter) {
+    return running;
+  }
+
+  const job = await db.renderJob.create({
+    data: {
+      shop,
+      kind,
+      trigger,
+      collectionId,
+      collectionHandle,
+      runAfter,
+      changedOnly,
+      productIds: productIds && JSON.stringify(productIds),
+      requestedById: requestedBy?.id ?? null,
+      requestedByName: requestedBy?.name ?? null,
+    },
+  });
+  console.log(`[jobs] queued ${kind} ${job.id} for ${shop} ${collectionHandle}${runAfter ? ` (runs after ${runAfter.toISOString()})` : ""}`);
+  wakeRenderWorker();
+  return job;
+}
+
+/**
+ * Queue a move of every collection's rendered_at value away from `from` (the `{ namespace,
+ * renderedAtKey }` before a settings change) to the settings current when the job runs. A move
+ * already queued keeps its `from`, since that is where the values still are.
+ */
+export async function enqueueMoveRenderedAtJob({ shop, from, requestedBy = null }) {
+  const queued = await db.renderJob.findFirst({
+    where: { shop, kind: JOB_KIND.MOVE_RENDERED_AT, status: JOB_STATUS.QUEUED },
+  });
+  if (queued) return queued;
+
+  const job = await db.renderJob.create({
+    data: {
+      shop,
+      kind: JOB_KIND.MOVE_RENDERED_AT,
+      collectionId: SHOP_JOB_COLLECTION_ID,
+      collectionHandle: "rendered_at",
+      movedFrom: JSON.stringify({ namespace: from.namespace, renderedAtKey: from.renderedAtKey }),
+      requestedById: requestedBy?.id ?? null,
+      requestedByName: requestedBy?.name ?? null,
+    },
+  });
+  console.log(`[jobs] queued ${job.kind} ${job.id} for ${shop}`);
+  wakeRenderWorker();
+  return job;
+}
+
+/**
+ * Queue removal of every `{handle}_rank` of a deleted collection. Pending renders for it are
+ * dropped, since they would only fail once the collection is gone.
+ */
+export async function enqueueCleanupJob({ shop, collectionId }) {
+  const lastJob = await db.renderJob.findFirst({
+    where: { shop, collectionId },
+    orderBy: { createdAt: "desc" },
+  });
+  if (!lastJob) {
+    // Never rendered by this app, so there is nothing to clean up.
+    return null;
+  }
+
+  await db.renderJob.updateMany({
+    where: { shop, collectionId, kind: JOB_KIND.RENDER, status: JOB_STATUS.QUEUED },
+    data: { status: JOB_STATUS.FAILED, message: "Collection was deleted", finishedAt: new Date() },
+  });
+
+  return enqueueRenderJob({
+    shop,
+    collectionId,
+    collectionHandle: lastJob.collectionHandle,
+    kind: JOB_KIND.CLEANUP,
+    trigger: JOB_TRIGGER.WEBHOOK,
+  });
+}
+
+/**
+ * Queue a render of only the products a finished render failed to write. Returns null when the
+ * job isn't a finished render of this shop or nothing failed. If the job failed more products than
+ * it kept errors for (MAX_STORED_ERRORS), an incremental render of the whole collection is queued
+ * instead; it rewrites every rank that didn't land.
+ */
+export async function enqueueRetryJob({ shop, jobId, requestedBy = null }) {
+  const job = await db.renderJob.findFirst({
+    where: { id: jobId, shop, kind: JOB_KIND.RENDER, status: JOB_STATUS.SUCCEEDED },
+  });
+  if (!job?.failedCount) return null;
+
+  const errors = job.errors ? JSON.parse(job.errors) : [];
+  const productIds = [...new Set(errors.map((error) => error.productId).filter(Boolean))];
+  return enqueueRenderJob({
+    shop,
+    collectionId: job.collectionId,
+    collectionHandle: job.collectionHandle,
+    requestedBy,
+    productIds: errors.length < job.failedCount || !productIds.length ? null : productIds,
+  });
+}
+
+// --- Helper: Latest job per collection for the given shop ---
+export async function getLatestRenderJobs({ shop, collectionIds }) {
+  if (!collectionIds.length) return {};
+  const jobs = await db.renderJob.findMany({
+    where: { shop, collectionId: { in: collectionIds } },
+    orderBy: { createdAt: "desc" },
+  });
+  const latest = {};
+  for (const job of jobs) {
+    if (!latest[job.collectionId]) {
+      latest[job.collectionId] = serializeRenderJob(job);
+    }
+  }
+  return latest;
+}
+
+// --- Helper: Run one job to completion and record the outcome on the job and its run ---
+async function runRenderJob(job) {
+  console.log(`[jobs] running ${job.id} for ${job.shop} ${job.collectionHandle}`);
+  let run = null;
+  let lastWrite = 0;
+
+  const onProgress = async ({ processed, total, success, failed }) => {
+    const now = Date.now();
+    if (processed < total && now - lastWrite < PROGRESS_WRITE_INTERVAL) return;
+    lastWrite = now;
+    await db.renderJob.update({
+      where: { id: job.id },
+      data: {
+        totalCount: total,
+        processedCount: processed,
+        successCount: success,
+        failedCount: failed,
+      },
+    });
+  };
+
+  try {
+    // A shop-wide job has no collection history to record a run in.
+    run = job.kind === JOB_KIND.MOVE_RENDERED_AT ? null : await startRenderRun(job);
+    const { admin } = await unauthenticated.admin(job.shop);
+    let results;
+    let message;
+    let collection = null;
+    let namespace;
+    let rankKey = null;
+
+    if (job.kind === JOB_KIND.CLEANUP) {
+      const settings = await getShopSettings({ shop: job.shop });
+      const record = await getRankedCollection({ shop: job.shop, collectionId: job.collectionId });
+      const location = storedRankLocation(record, { id: job.collectionId, handle: job.collectionHandle }, settings);
+      ({ namespace, rankKey } = location);
+      ({ results } = await removeCollectionRanks({ admin, rankKey, namespace, onProgress }));
+      if (record && results.failed === 0) {
+        await db.rankedCollection.delete({ where: { id: record.id } });
+      }
+      message = `Removed ${results.removed} ranks of deleted collection ${job.collectionHandle}${
+        results.failed ? `, ${results.failed} failed` : ""
+      }`;
+    } else if (job.kind === JOB_KIND.MOVE_RENDERED_AT) {
+      const settings = await getShopSettings({ shop: job.shop });
+      results = await moveRenderedAt({ admin, from: JSON.parse(job.movedFrom), to: settings, onProgress });
+      message = `Moved rendered_at of ${results.success} collections to ${settings.namespace}.${
+        settings.renderedAtKey
+      }${results.failed ? `, ${results.failed} failed` : ""}`;
+    } else if (job.kind === JOB_KIND.MIGRATE) {
+      collection = await fetchCollection({ admin, collectionId: job.collectionId });
+      if (!collection) {
+        throw new Error("Collection not found");
+      }
+      const settings = await getShopSettings({ shop: job.shop });
+      ({ results, namespace, rankKey } = await migrateRankKey({
+        admin,
+        shop: job.shop,
+        collection,
+        settings,
+        onProgress,
+      }));
+      message = `Moved ${results.success} of ${results.processed} ranks to ${namespace}.${rankKey}${
+        results.failed ? `, ${results.failed} failed` : ""
+      }`;
+    } else {
+      ({ collection, results, namespace, rankKey } = await renderCollectionRanks({
+        admin,
+        shop: job.shop,
+        collectionId: job.collectionId,
+        collectionHandle: job.collectionHandle,
+        bulkOperationId: job.bulkOperationId,
+        bulkEntries: job.bulkEntries && JSON.parse(job.bulkEntries),
+        changedOnly: job.changedOnly,
+        productIds: job.productIds && JSON.parse(job.productIds),
+        onBulkOperationStarted: (bulkOperationId, entries) =>
+          db.renderJob.update({
+            where: { id: job.id },
+            data: { bulkOperationId, bulkEntries: JSON.stringify(entries) },
+          }),
+        onProgress,
+      }));
+      message = formatRenderMessage(results);
+    }
+
+    await db.renderJob.update({
+      where: { id: job.id },
+      data: {
+        status: JOB_STATUS.SUCCEEDED,
+        totalCount: results.processed,
+        processedCount: results.processed,
+        successCount: results.success,
+        failedCount: results.failed,
+        errors: JSON.stringify(results.errors.slice(0, MAX_STORED_ERRORS)),
+        renderedAt: results.renderedAt ? new Date(results.renderedAt) : null,
+        bulkEntries: null,
+        message,
+        finishedAt: new Date(),
+      },
+    });
+    if (run) {
+      await finishRenderRun(run, { status: RUN_STATUS.SUCCEEDED, results, collection, namespace, rankKey, message });
+    }
+    console.log(`[jobs] ${job.id} succeeded: ${message}`);
+  } catch (error) {
+    console.error(`[jobs] ${job.id} failed:`, error);
+    const message = error.message || "Render failed";
+    await db.renderJob.update({
+      where: { id: job.id },
+      data: {
+        status: JOB_STATUS.FAILED,
+        bulkEntries: null,
+        message,
+        finishedAt: new Date(),
+      },
+    });
+    if (run) {
+      await finishRenderRun(run, { status: RUN_STATUS.FAILED, message });
+    }
+  }
+}
+
+// --- Helper: Claim the oldest queued job, returns null when the queue is empty ---
+async function claimNextJob() {
+  const next = await db.renderJob.findFirst({
+    where: {
+      status: JOB_STATUS.QUEUED,
+      OR: [{ runAfter: null }, { runAfter: { lte: new Date() } }],
+    },
+    orderBy: { createdAt: "asc" },
+  });
+  if (!next) return null;
+
+  // Guard against another worker having claimed it in the meantime.
+  const { count } = await db.renderJob.updateMany({
+    where: { id: next.id, status: JOB_STATUS.QUEUED },
+    data: { status: JOB_STATUS.RUNNING, startedAt: new Date() },
+  });
+  return count ? next : null;
+}
+
+// --- Worker state lives on `global` so dev-server reloads don't start a second loop ---
+const worker = global.renderWorker ?? (global.renderWorker = { started: false, busy: false, timer: null });
+
+async function drainQueue() {
+  if (worker.busy) return;
+  worker.busy = true;
+  try {
+    let job;
+    while ((job = await claimNextJob())) {
+      await runRenderJob(job);
+    }
+  } catch (error) {
+    console.error("[jobs] worker error:", error);
+  } finally {
+    worker.busy = false;
+  }
+}
+
+// --- Ask the worker to look at the queue now instead of waiting for the next tick ---
+export function wakeRenderWorker() {
+  if (worker.started) {
+    setImmediate(drainQueue);
+  }
+}
+
+/**
+ * Start the render worker. Jobs left `running` by a previous process (restart or crash)
+ * are put back in the queue; a job that had started a Bulk Operation resumes waiting on it.
+ */
+export async function startRenderWorker() {
+  if (worker.started) return;
+  worker.started = true;
+
+  try {
+    const { count } = await db.renderJob.updateMany({
+      where: { status: JOB_STATUS.RUNNING },
+      data: { status: JOB_STATUS.QUEUED },
+    });
+    if (count) {
+      console.log(`[jobs] re-queued ${count} interrupted job(s)`);
+    }
+    await closeInterruptedRuns();
+  } catch (error) {
+    console.error("[jobs] failed to recover interrupted jobs:", error);
+  }
+
+  worker.timer = setInterval(drainQueue, WORKER_INTERVAL);
+  worker.timer.unref?.();
+  drainQueue();
+}
@@ -0,0 +1,88 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import db from "../db.server";
+import { JOB_STATUS, enqueueRenderJob } from "./render-jobs.server";
+
+vi.mock("../db.server", () => ({
+  default: { renderJob: { findFirst: vi.fn(), update: vi.fn(), create: vi.fn() } },
+}));
+vi.mock("../shopify.server", () => ({ unauthenticated: {} }));
+
+const request = { shop: "test.myshopify.com", collectionId: "gid://shopify/Collection/1", collectionHandle: "sale" };
+
+// --- Answer findFirst with the job in each status; update and create echo their data ---
+function givenJobs({ queued = null, running = null }) {
+  db.renderJob.findFirst.mockImplementation(async ({ where }) =>
+    where.status === JOB_STATUS.QUEUED ? queued : where.status === JOB_STATUS.RUNNING ? running : null,
+  );
+}
+
+const enqueue = (fields = {}) => enqueueRenderJob({ ...request, ...fields });
+
+const queuedJob = (fields) => ({ id: "queued", changedOnly: true, productIds: null, ...fields });
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.setSystemTime(new Date("2026-10-19T12:00:00Z"));
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  db.renderJob.update.mockImplementation(async ({ where, data }) => ({ id: where.id, ...data }));
+  db.renderJob.create.mockImplementation(async ({ data }) => ({ id: "new", ...data }));
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe("enqueueRenderJob", () => {
+  it("returns a queued job as it is when nothing changes", async () => {
+    const queued = queuedJob();
+    givenJobs({ queued });
+    expect(await enqueue()).toBe(queued);
+    expect(db.renderJob.update).not.toHaveBeenCalled();
+  });
+
+  it("pushes a queued job back by the delay", async () => {
+    givenJobs({ queued: queuedJob() });
+    const { runAfter } = await enqueue({ delay: 30000 });
+    expect(runAfter).toEqual(new Date("2026-10-19T12:00:30Z"));
+    expect(db.renderJob.create).not.toHaveBeenCalled();
+  });
+
+  it("upgrades a queued incremental render to a full one", async () => {
+    givenJobs({ queued: queuedJob() });
+    const { changedOnly } = await enqueue({ changedOnly: false });
+    expect(changedOnly).toBe(false);
+  });
+
+  it("keeps a queued full render full", async () => {
+    givenJobs({ queued: queuedJob({ changedOnly: false }) });
+    const { changedOnly } = await enqueue({ delay: 1000 });
+    expect(changedOnly).toBe(false);
+  });
+
+  it("widens a limited job with the extra products", async () => {
+    givenJobs({ queued: queuedJob({ productIds: JSON.stringify(["p1", "p2"]) }) });
+    const { productIds } = await enqueue({ productIds: ["p2", "p3"] });
+    expect(JSON.parse(productIds)).toEqual(["p1", "p2", "p3"]);
+  });
+
+  it("does not touch a limited job that already covers the products", async () => {
+    const queued = queuedJob({ productIds: JSON.stringify(["p1", "p2"]) });
+    givenJobs({ queued });
+    expect(await enqueue({ productIds: ["p2"] })).toBe(queued);
+  });
+
+  it("lifts the limit for an unlimited request", async () => {
+    givenJobs({ queued: queuedJob({ productIds: JSON.stringify(["p1"]) }) });
+    const { productIds } = await enqueue();
+    expect(productIds).toBeNull();
+  });
+
+  it("returns a running job, but queues a follow-up behind it for a delayed trigger", async () => {
+    const running = { id: "running" };
+    givenJobs({ running });
+    expect(await enqueue()).toBe(running);
+
+    expect(await enqueue({ delay: 30000 })).toMatchObject({ id: "new", runAfter: new Date("2026-10-19T12:00:30Z") });
+  });
+});
@@ -0,0 +1,161 @@
+// --- Render runs: audit log of every job run, shown on the History pages ---
+import db from "../db.server";
+import { chunk } from "./metafields.server";
+
+// Collections whose latest run is read per query on the History page.
+const SUMMARY_BATCH_SIZE = 200;
+
+export const RUN_STATUS = {
+  RUNNING: "running",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+};
+
+/**
+ * The staff user behind an admin request. Online sessions carry the user's name; with offline
+ * sessions only the user ID from the session token is known.
+ */
+export function staffFromSession({ session, sessionToken }) {
+  const user = session?.onlineAccessInfo?.associated_user;
+  if (user) {
+    const name = [user.first_name, user.last_name].filter(Boolean).join(" ") || user.email || null;
+    return { id: String(user.id), name };
+  }
+  if (sessionToken?.sub) {
+    return { id: String(sessionToken.sub), name: null };
+  }
+  return null;
+}
+
+// --- Helper: Shape a RenderRun row for loaders ---
+export function serializeRenderRun(run, { withErrors = false } = {}) {
+  if (!run) return null;
+  const errors = run.errors ? JSON.parse(run.errors) : [];
+  return {
+    id: run.id,
+    jobId: run.jobId,
+    kind: run.kind,
+    trigger: run.trigger,
+    collectionId: run.collectionId,
+    collectionHandle: run.collectionHandle,
+    collectionTitle: run.collectionTitle,
+    namespace: run.namespace,
+    rankKey: run.rankKey,
+    mode: run.mode,
+    staffUserId: run.staffUserId,
+    staffName: run.staffName,
+    status: run.status,
+    total: run.totalCount,
+    success: run.successCount,
+    failed: run.failedCount,
+    removed: run.removedCount,
+    unchanged: run.unchangedCount,
+    errorCount: errors.length,
+    errors: withErrors ? errors : undefined,
+    message: run.message,
+    startedAt: run.startedAt,
+    finishedAt: run.finishedAt,
+  };
+}
+
+// --- Open a run when the worker starts a job ---
+export async function startRenderRun(job) {
+  return db.renderRun.create({
+    data: {
+      shop: job.shop,
+      jobId: job.id,
+      kind: job.kind,
+      trigger: job.trigger,
+      collectionId: job.collectionId,
+      collectionHandle: job.collectionHandle,
+      staffUserId: job.requestedById,
+      staffName: job.requestedByName,
+    },
+  });
+}
+
+/**
+ * Close a run with the outcome of its job. `results` is what the render, cleanup or migration
+ * returned; a run that threw only has `message`.
+ */
+export async function finishRenderRun(
+  run,
+  { status, results = null, collection = null, namespace = undefined, rankKey = null, message },
+) {
+  return db.renderRun.update({
+    where: { id: run.id },
+    data: {
+      status,
+      collectionTitle: collection?.title ?? undefined,
+      collectionHandle: collection?.handle ?? undefined,
+      namespace,
+      rankKey,
+      mode: results?.mode ?? null,
+      totalCount: results?.processed ?? 0,
+      successCount: results?.success ?? 0,
+      failedCount: results?.failed ?? 0,
+      removedCount: results?.removed ?? 0,
+      unchangedCount: results?.unchanged ?? 0,
+      errors: results ? JSON.stringify(results.errors) : null,
+      message,
+      finishedAt: new Date(),
+    },
+  });
+}
+
+// --- Runs left open by a process that stopped mid-job; their jobs are re-queued and get a new run ---
+export async function closeInterruptedRuns() {
+  return db.renderRun.updateMany({
+    where: { status: RUN_STATUS.RUNNING },
+    data: { status: RUN_STATUS.FAILED, message: "Interrupted by a restart", finishedAt: new Date() },
+  });
+}
+
+// --- Helper: Past runs of one collection, newest first ---
+export async function getRenderRuns({ shop, collectionId, take = 50 }) {
+  const runs = await db.renderRun.findMany({
+    where: { shop, collectionId },
+    orderBy: { startedAt: "desc" },
+    take,
+  });
+  return runs.map((run) => serializeRenderRun(run));
+}
+
+export async function getRenderRun({ shop, id }) {
+  const run = await db.renderRun.findFirst({ where: { shop, id } });
+  return serializeRenderRun(run, { withErrors: true });
+}
+
+/**
+ * One row per collection that has been run, with its run count and latest run, newest first.
+ */
+export async function getRenderRunSummaries({ shop }) {
+  const groups = await db.renderRun.groupBy({
+    by: ["collectionId"],
+    where: { shop },
+    _count: { _all: true },
+    _max: { startedAt: true },
+    orderBy: { _max: { startedAt: "desc" } },
+  });
+  if (!groups.length) return [];
+
+  // Latest runs are read a batch of collections at a time, keeping each OR within SQLite's limits.
+  const latest = {};
+  for (const batch of chunk(groups, SUMMARY_BATCH_SIZE)) {
+    const runs = await db.renderRun.findMany({
+      where: {
+        shop,
+        OR: batch.map((group) => ({ collectionId: group.collectionId, startedAt: group._max.startedAt })),
+      },
+    });
+    for (const run of runs) {
+      latest[run.collectionId] = serializeRenderRun(run);
+    }
+  }
+
+  return groups.map((group) => ({
+    collectionId: group.collectionId,
+    runCount: group._count._all,
+    lastRun: latest[group.collectionId] || null,
+  }));
+}
@@ -0,0 +1,42 @@
+// --- Render state: whether a collection's ranks still match its current order ---
+import { getRankedCollections } from "./rank-keys.server";
+import { orderHash } from "./rank-plan.server";
+import { fetchOrderSamples } from "./render.server";
+
+export const RENDER_STATE = {
+  FRESH: "fresh",
+  STALE: "stale",
+  NEVER: "never",
+};
+
+// A render stamps rendered_at through collectionUpdate, which moves updatedAt a moment later.
+const RENDER_STAMP_GRACE = 60 * 1000;
+
+/**
+ * Set `renderState` on every collection (each carrying `id`, `renderedAt`, `updatedAt` and
+ * `totalProducts`). A rendered collection is stale when it was updated after the render, or when
+ * its order no longer matches the order hash stored by the last complete render; the second
+ * check catches automated sorts like best-selling, whose order moves without an update.
+ */
+export async function annotateRenderState({ admin, shop, collections }) {
+  const rendered = collections.filter((col) => col.renderedAt);
+  const records = await getRankedCollections({ shop, collectionIds: rendered.map((col) => col.id) });
+
+  const updatedSince = (col) =>
+    new Date(col.updatedAt).getTime() > new Date(col.renderedAt).getTime() + RENDER_STAMP_GRACE;
+  const toHash = rendered.filter((col) => !updatedSince(col) && records[col.id]?.orderHash);
+  const samples = toHash.length ? await fetchOrderSamples({ admin, collectionIds: toHash.map((col) => col.id) }) : {};
+
+  for (const col of collections) {
+    if (!col.renderedAt) {
+      col.renderState = RENDER_STATE.NEVER;
+    } else if (updatedSince(col)) {
+      col.renderState = RENDER_STATE.STALE;
+    } else if (samples[col.id] && orderHash(samples[col.id], col.totalProducts) !== records[col.id].orderHash) {
+      col.renderState = RENDER_STATE.STALE;
+    } else {
+      col.renderState = RENDER_STATE.FRESH;
+    }
+  }
+  return collections;
+}
@@ -0,0 +1,669 @@
+// --- Rank rendering: fetch a collection's order and write its rank metafields (`<handle>_rank` by default) ---
+import { deleteProductMetafields, fetchMetafieldOwners, setProductRanks } from "./metafields.server";
+import { setProductRanksInBulk } from "./bulk-operations.server";
+import { getAlgoliaConfig, needsVariants, rankAttribute, syncRanksToAlgolia } from "./algolia.server";
+import { ensureRankDefinition } from "./metafield-definitions.server";
+import {
+  RANK_KEY_ON_RENAME,
+  resolveRankKey,
+  retireRankKey,
+  setAlgoliaAttribute,
+  setOrderHash,
+  setRankKey,
+  targetRankKey,
+} from "./rank-keys.server";
+import {
+  DEFAULT_RANK_STRATEGY,
+  ORDER_HASH_SAMPLE,
+  RANK_CHANGE,
+  orderHash,
+  planHash,
+  planRankChanges,
+  rankStrategy,
+} from "./rank-plan.server";
+import { DEFAULT_SHOP_SETTINGS, getShopSettings } from "./shop-settings.server";
+
+const PRODUCTS_PAGE_SIZE = 250;
+
+// Each product's first page of variants counts towards the query cost, so pages that include
+// variants hold fewer products to stay under Shopify's 1000-point limit (25 x 25 variants).
+// Products with more variants page the rest through their own query.
+const VARIANT_PRODUCTS_PAGE_SIZE = 25;
+const VARIANTS_PAGE_SIZE = 25;
+
+// Collection sort orders and the product sort key that reproduces them; anything else falls back
+// to COLLECTION_DEFAULT, which follows whatever order the collection is set to.
+export const COLLECTION_SORT_KEYS = {
+  MANUAL: { sortKey: "MANUAL", reverse: false },
+  BEST_SELLING: { sortKey: "BEST_SELLING", reverse: false },
+  ALPHA_ASC: { sortKey: "TITLE", reverse: false },
+  ALPHA_DESC: { sortKey: "TITLE", reverse: true },
+  PRICE_ASC: { sortKey: "PRICE", reverse: false },
+  PRICE_DESC: { sortKey: "PRICE", reverse: true },
+  CREATED: { sortKey: "CREATED", reverse: false },
+  CREATED_DESC: { sortKey: "CREATED", reverse: true },
+};
+
+// Collections with more products than this are written through a Bulk Operation.
+export const BULK_RENDER_THRESHOLD =
+  parseInt(process.env.BULK_RENDER_THRESHOLD || "5000", 10) || 5000;
+
+// --- Error carrying the HTTP status the action should answer with ---
+export class RenderError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = "RenderError";
+    this.status = status;
+  }
+}
+
+/**
+ * Fetch every product of a collection in the order of its `sortOrder` (manual by default),
+ * following pageInfo cursors. With `rankKey` each product also carries `currentRank`, the value
+ * stored under `namespace.rankKey` (or null).
+ */
+export async function fetchCollectionProducts({
+  admin,
+  collectionId,
+  sortOrder = "MANUAL",
+  withVariants = false,
+  rankKey = null,
+  namespace = DEFAULT_SHOP_SETTINGS.namespace,
+}) {
+  const query = `
+    query getCollectionProducts(
+      $id: ID!
+      $first: Int!
+      $after: String
+      $sortKey: ProductCollectionSortKeys!
+      $reverse: Boolean!
+      $withVariants: Boolean!
+      $withRank: Boolean!
+      $namespace: String!
+      $rankKey: String!
+    ) {
+      collection(id: $id) {
+        products(first: $first, after: $after, sortKey: $sortKey, reverse: $reverse) {
+          pageInfo { hasNextPage endCursor }
+          edges {
+            node {
+              id
+              title
+              handle
+              variants(first: ${VARIANTS_PAGE_SIZE}) @include(if: $withVariants) {
+                pageInfo { hasNextPage endCursor }
+                nodes { id }
+              }
+              rank: metafield(namespace: $namespace, key: $rankKey) @include(if: $withRank) {
+                value
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+  const { sortKey, reverse } = COLLECTION_SORT_KEYS[sortOrder] || { sortKey: "COLLECTION_DEFAULT", reverse: false };
+  const products = [];
+  let after = null;
+  let hasNextPage = true;
+
+  while (hasNextPage) {
+    const response = await admin.graphql(query, {
+      variables: {
+        id: collectionId,
+        first: withVariants ? VARIANT_PRODUCTS_PAGE_SIZE : PRODUCTS_PAGE_SIZE,
+        after,
+        sortKey,
+        reverse,
+        withVariants,
+        withRank: Boolean(rankKey),
+        namespace,
+        rankKey: rankKey || "",
+      },
+    });
+    const data = await response.json();
+    const connection = data?.data?.collection?.products;
+    if (!connection) {
+      throw new Error(`Failed to fetch products for collection ${collectionId}`);
+    }
+    for (const { node } of connection.edges) {
+      const product = { id: node.id, title: node.title, handle: node.handle };
+      if (node.variants) {
+        const variants = node.variants.pageInfo.hasNextPage
+          ? await fetchRemainingVariants({ admin, productId: node.id, variants: node.variants })
+          : node.variants.nodes;
+        product.variants = { nodes: variants };
+      }
+      if (rankKey) {
+        product.currentRank = node.rank ? Number(node.rank.value) : null;
+      }
+      products.push(product);
+    }
+    hasNextPage = connection.pageInfo.hasNextPage;
+    after = connection.pageInfo.endCursor;
+  }
+
+  return products;
+}
+
+// --- Helper: Every variant of a product, continuing from the first page read with its collection ---
+async function fetchRemainingVariants({ admin, productId, variants }) {
+  const query = `
+    query getProductVariants($id: ID!, $after: String) {
+      product(id: $id) {
+        variants(first: 250, after: $after) {
+          pageInfo { hasNextPage endCursor }
+          nodes { id }
+        }
+      }
+    }
+  `;
+  const nodes = [...variants.nodes];
+  let after = variants.pageInfo.endCursor;
+  let hasNextPage = true;
+
+  while (hasNextPage) {
+    const response = await admin.graphql(query, { variables: { id: productId, after } });
+    const data = await response.json();
+    const connection = data?.data?.product?.variants;
+    if (!connection) {
+      throw new Error(`Failed to fetch variants for product ${productId}`);
+    }
+    nodes.push(...connection.nodes);
+    hasNextPage = connection.pageInfo.hasNextPage;
+    after = connection.pageInfo.endCursor;
+  }
+
+  return nodes;
+}
+
+// --- Helper: Fetch the collection fields the render needs ---
+export async function fetchCollection({ admin, collectionId }) {
+  const query = `
+    query getCollection($id: ID!) {
+      collection(id: $id) {
+        id
+        title
+        handle
+        sortOrder
+        productsCount { count }
+      }
+    }
+  `;
+  const response = await admin.graphql(query, { variables: { id: collectionId } });
+  const data = await response.json();
+  return data?.data?.collection || null;
+}
+
+// --- Helper: Every collection matching `query`, with its rendered_at value under the shop's settings ---
+export async function fetchCollections({ admin, query: search = null, settings = DEFAULT_SHOP_SETTINGS }) {
+  const query = `
+    query getAllCollections($first: Int!, $after: String, $query: String, $namespace: String!, $key: String!) {
+      collections(first: $first, after: $after, query: $query) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          id
+          title
+          handle
+          sortOrder
+          updatedAt
+          ruleSet { appliedDisjunctively }
+          productsCount { count }
+          metafield(namespace: $namespace, key: $key) { value }
+        }
+      }
+    }
+  `;
+  const collections = [];
+  let after = null;
+  let hasNextPage = true;
+
+  while (hasNextPage) {
+    const response = await admin.graphql(query, {
+      variables: {
+        first: PRODUCTS_PAGE_SIZE,
+        after,
+        query: search,
+        namespace: settings.namespace,
+        key: settings.renderedAtKey,
+      },
+    });
+    const data = await response.json();
+    const connection = data?.data?.collections;
+    if (!connection) {
+      throw new Error("Failed to fetch collections");
+    }
+    for (const node of connection.nodes) {
+      collections.push({
+        id: node.id,
+        title: node.title,
+        handle: node.handle,
+        sortOrder: node.sortOrder,
+        smart: Boolean(node.ruleSet),
+        updatedAt: node.updatedAt,
+        totalProducts: node.productsCount?.count ?? 0,
+        renderedAt: node.metafield?.value || null,
+      });
+    }
+    hasNextPage = connection.pageInfo.hasNextPage;
+    after = connection.pageInfo.endCursor;
+  }
+
+  return collections;
+}
+
+/**
+ * The IDs of the first ORDER_HASH_SAMPLE products of each collection, in collection order, keyed
+ * by collection ID. Reads up to 30 collections per query.
+ */
+export async function fetchOrderSamples({ admin, collectionIds }) {
+  const query = `
+    query getOrderSamples($ids: [ID!]!, $first: Int!) {
+      nodes(ids: $ids) {
+        ... on Collection {
+          id
+          products(first: $first, sortKey: COLLECTION_DEFAULT) { nodes { id } }
+        }
+      }
+    }
+  `;
+  const samples = {};
+  for (let i = 0; i < collectionIds.length; i += 30) {
+    const response = await admin.graphql(query, {
+      variables: { ids: collectionIds.slice(i, i + 30), first: ORDER_HASH_SAMPLE },
+    });
+    const data = await response.json();
+    for (const node of data?.data?.nodes || []) {
+      if (node?.id) {
+        samples[node.id] = node.products.nodes.map((product) => product.id);
+      }
+    }
+  }
+  return samples;
+}
+
+// --- Helper: Every collection that has been rendered at least once ---
+export async function fetchRenderedCollections({ admin, settings = DEFAULT_SHOP_SETTINGS }) {
+  const collections = await fetchCollections({ admin, settings });
+  return collections.filter((col) => col.renderedAt);
+}
+
+// --- Helper: Stamp the collection's rendered_at metafield ---
+export async function markCollectionRendered({
+  admin,
+  collectionId,
+  settings = DEFAULT_SHOP_SETTINGS,
+  renderedAt = new Date().toISOString(),
+}) {
+  const mutation = `
+    mutation collectionUpdate($input: CollectionInput!) {
+      collectionUpdate(input: $input) {
+        collection {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+  const response = await admin.graphql(mutation, {
+    variables: {
+      input: {
+        id: collectionId,
+        metafields: [
+          {
+            namespace: settings.namespace,
+            key: settings.renderedAtKey,
+            type: "single_line_text_field",
+            value: renderedAt,
+          },
+        ],
+      },
+    },
+  });
+  const data = await response.json();
+  console.log("[render] rendered_at update response:", JSON.stringify(data));
+  return data;
+}
+
+/**
+ * Move every collection's rendered_at value from one settings location to another, after the
+ * namespace or rendered-at key changed. Runs in a job (JOB_KIND.MOVE_RENDERED_AT). The values are
+ * written through metafieldsSet, which unlike collectionUpdate fires no collections/update webhook,
+ * so the move doesn't queue a re-render of every collection. The old value is only removed from
+ * collections whose new one was written; results count collections in the render job's shape.
+ */
+export async function moveRenderedAt({ admin, from, to, onProgress }) {
+  const results = { processed: 0, success: 0, failed: 0, errors: [] };
+  if (from.namespace === to.namespace && from.renderedAtKey === to.renderedAtKey) return results;
+
+  const rendered = (await fetchCollections({ admin, settings: from })).filter((col) => col.renderedAt);
+  // The metafield writers take any owner; here the owners are collections.
+  const owners = rendered.map((col) => ({ productId: col.id, title: col.title }));
+  const written = await setProductRanks({
+    admin,
+    entries: rendered.map((col, i) => ({ ...owners[i], key: to.renderedAtKey, value: col.renderedAt })),
+    namespace: to.namespace,
+    type: "single_line_text_field",
+    onProgress: ({ success, failed }) =>
+      onProgress?.({ processed: success + failed, total: rendered.length, success, failed }),
+  });
+  const failedIds = new Set(written.errors.map((error) => error.productId));
+  const removed = await deleteProductMetafields({
+    admin,
+    owners: owners.filter((owner) => !failedIds.has(owner.productId)),
+    key: from.renderedAtKey,
+    namespace: from.namespace,
+  });
+  if (removed.failed) {
+    console.error(`[render] ${removed.failed} old rendered_at values could not be removed:`, removed.errors);
+  }
+
+  console.log(
+    `[render] moved rendered_at of ${written.success} collections ` +
+      `${from.namespace}.${from.renderedAtKey} -> ${to.namespace}.${to.renderedAtKey}`,
+  );
+  return { ...written, processed: rendered.length };
+}
+
+/**
+ * Render the rank key of a collection for every product in it, in the collection's own sort order:
+ * manual, or the automated order of a smart collection (best-selling, price, ...). The namespace,
+ * key and value type are the ones stored for the collection (see rank-keys.server.js); when the
+ * handle or the key template changed and RANK_KEY_ON_RENAME is "migrate", the render writes the new
+ * key and retires the old one. A namespace or value type change only moves through a migration job,
+ * since the old definition has to go first. Collections above BULK_RENDER_THRESHOLD are written
+ * through a Bulk Operation instead of batched metafieldsSet calls. Rank values follow the
+ * collection's numbering strategy (see RANK_STRATEGIES in rank-plan.server.js).
+ *
+ * Renders are incremental: the stored ranks are read with the product list and only products whose
+ * rank is new or moved are written, so Algolia only reindexes what changed (every rank is pushed
+ * again after a failed push or to a new attribute). Unchanged ranks are counted in
+ * `results.unchanged`; `changedOnly: false` rewrites every rank. `productIds` limits the writes and
+ * stale-rank removals to those products, which is how failed writes are retried (and reports no
+ * unchanged ranks).
+ *
+ * `onProgress({ processed, total, success, failed })` is called as writes complete, and
+ * `onBulkOperationStarted(id, entries)` lets a caller persist a bulk operation and the writes it
+ * uploaded. Passing both back as `bulkOperationId` and `bulkEntries` resumes it: its result lines
+ * are numbered against those writes, so they are used instead of a fresh plan.
+ */
+export async function renderCollectionRanks({
+  admin,
+  shop,
+  collectionId,
+  collectionHandle,
+  onProgress,
+  onBulkOperationStarted,
+  bulkOperationId = null,
+  bulkEntries = null,
+  changedOnly = true,
+  productIds = null,
+}) {
+  const collection = await fetchCollection({ admin, collectionId });
+  if (!collection) {
+    console.error("Collection not found:", collectionId);
+    throw new RenderError("Collection not found", 404);
+  }
+
+  const handle = collection.handle || collectionHandle;
+  const expected = collection.productsCount?.count ?? null;
+
+  const settings = await getShopSettings({ shop });
+  const resolved = await resolveRankKey({ shop, collection, settings });
+  const { target } = resolved;
+  const migrating =
+    resolved.outdated &&
+    RANK_KEY_ON_RENAME === "migrate" &&
+    target.namespace === resolved.namespace &&
+    target.valueType === resolved.valueType;
+  const { namespace, rankKey: key, valueType } = migrating ? target : resolved;
+  if (resolved.outdated && !migrating) {
+    console.log(`[render] ${handle} is outdated; keeping rank key ${namespace}.${key}`);
+  }
+  const strategy = resolved.record.strategy || DEFAULT_RANK_STRATEGY;
+  const neededType = rankStrategy(strategy).valueType;
+  if (neededType && neededType !== valueType) {
+    throw new RenderError(`${rankStrategy(strategy).label} ranks need the ${neededType} value type`, 409);
+  }
+
+  const algolia = getAlgoliaConfig();
+  const products = await fetchCollectionProducts({
+    admin,
+    collectionId,
+    sortOrder: collection.sortOrder,
+    withVariants: Boolean(algolia && needsVariants(algolia.objectIdRules)),
+    rankKey: key,
+    namespace,
+  });
+
+  // --- Give the rank key a typed definition the first time the collection is ranked. It comes
+  // before the owners are read, so they are listed through it rather than by scanning the catalog ---
+  try {
+    await ensureRankDefinition({ admin, shop, key, namespace, type: valueType, strategy, title: collection.title });
+  } catch (error) {
+    console.error(`[render] could not ensure metafield definition for ${key}:`, error);
+  }
+
+  // --- Compare with the stored ranks, and find products that still carry the key but left ---
+  let owners = null;
+  let cleanupError = null;
+  try {
+    owners = await fetchMetafieldOwners({ admin, key, namespace });
+  } catch (error) {
+    console.error(`[render] could not list ${key} owners for ${handle}:`, error);
+    cleanupError = error.message;
+  }
+  const plan = planRankChanges({ products, owners: owners || [], key, strategy });
+  const only = productIds && new Set(productIds);
+  const resuming = Boolean(bulkOperationId && bulkEntries);
+  const entries = resuming
+    ? bulkEntries
+    : only
+      ? plan.entries.filter((entry) => only.has(entry.productId))
+      : changedOnly
+        ? plan.entries.filter((entry) => entry.change !== RANK_CHANGE.UNCHANGED)
+        : plan.entries;
+  const staleOwners = owners ? plan.removed.filter((owner) => !only || only.has(owner.productId)) : [];
+  const mode = resuming || entries.length > BULK_RENDER_THRESHOLD ? "bulk" : "batched";
+
+  const reportProgress = ({ success, failed }) =>
+    onProgress?.({ processed: success + failed, total: entries.length, success, failed });
+  await reportProgress({ success: 0, failed: 0 });
+
+  console.log(
+    `[render] writing ${key} for ${entries.length} of ${products.length} products (${mode}, ${strategy})`,
+  );
+  const writeResults =
+    mode === "bulk"
+      ? await setProductRanksInBulk({
+          admin,
+          entries,
+          namespace,
+          type: valueType,
+          bulkOperationId: resuming ? bulkOperationId : null,
+          onStarted: (id) =>
+            onBulkOperationStarted?.(
+              id,
+              entries.map(({ productId, title, value }) => ({ productId, title, key, value })),
+            ),
+          onProgress: reportProgress,
+        })
+      : await setProductRanks({ admin, entries, namespace, type: valueType, onProgress: reportProgress });
+
+  const results = {
+    ...writeResults,
+    mode,
+    processed: products.length,
+    // A limited render never looked at the other products, so none of them counts as unchanged.
+    unchanged: only ? 0 : Math.max(0, products.length - entries.length),
+    expected,
+    removed: 0,
+  };
+  if (cleanupError) {
+    results.cleanupError = cleanupError;
+  }
+
+  console.log(`Updated ${results.success} products, failed: ${results.failed} for collection ${handle}`);
+  if (results.expected !== null && results.processed !== results.expected) {
+    console.warn(
+      `[render] processed ${results.processed} products but collection ${handle} reports ${results.expected}`
+    );
+  }
+
+  // --- Remove the key from products that still carry it but left the collection ---
+  if (staleOwners.length) {
+    try {
+      console.log(`[render] removing ${key} from ${staleOwners.length} products no longer in ${handle}`);
+      const removal = await deleteProductMetafields({ admin, owners: staleOwners, key, namespace });
+      results.removed = removal.success;
+      results.failed += removal.failed;
+      results.errors.push(...removal.errors);
+    } catch (error) {
+      console.error(`[render] stale rank cleanup failed for ${handle}:`, error);
+      results.cleanupError = error.message;
+    }
+  }
+
+  // --- Push the same ranks straight onto the Algolia records, skipping failed writes. Unchanged
+  // ranks go too when the last push failed or went to another attribute ---
+  if (algolia) {
+    const attribute = rankAttribute(key, namespace);
+    const written = new Set(entries.map((entry) => entry.productId));
+    const pushed =
+      resolved.record.algoliaAttribute === attribute
+        ? entries
+        : [...entries, ...plan.entries.filter((entry) => !written.has(entry.productId))];
+    const failedIds = new Set(results.errors.map((e) => e.productId));
+    const productsById = new Map(products.map((product) => [product.id, product]));
+    try {
+      results.algolia = await syncRanksToAlgolia({
+        config: algolia,
+        rankKey: key,
+        namespace,
+        ranks: [
+          ...pushed.map((entry) => ({
+            product: productsById.get(entry.productId) ?? { id: entry.productId },
+            value: entry.value,
+          })),
+          ...staleOwners.map((owner) => ({ product: { id: owner.productId }, value: null })),
+        ].filter(({ product }) => !failedIds.has(product.id)),
+      });
+    } catch (error) {
+      console.error(`[render] Algolia sync failed for ${handle}:`, error);
+      results.algolia = { updated: 0, error: error.message };
+    }
+    const synced = results.algolia.error ? null : attribute;
+    if (resolved.record.algoliaAttribute !== synced) {
+      await setAlgoliaAttribute({ shop, collectionId, algoliaAttribute: synced });
+    }
+  }
+
+  // --- Handle renamed and policy is "migrate": the new key is written, retire the old one ---
+  if (migrating && results.failed === 0) {
+    try {
+      console.log(`[render] migrating rank key ${resolved.rankKey} -> ${key}`);
+      await retireRankKey({ admin, rankKey: resolved.rankKey, namespace: resolved.namespace });
+      await setRankKey({ shop, collectionId, location: target });
+      results.migratedFrom = resolved.rankKey;
+    } catch (error) {
+      console.error(`[render] failed to retire ${resolved.rankKey}:`, error);
+    }
+  }
+
+  // --- A render limited to `productIds` leaves the rest of the collection as it was, so it neither
+  // stamps rendered_at nor records the order as rendered ---
+  if (!only) {
+    results.renderedAt = new Date().toISOString();
+    await markCollectionRendered({ admin, collectionId, settings, renderedAt: results.renderedAt });
+    if (results.failed === 0) {
+      await setOrderHash({
+        shop,
+        collectionId,
+        orderHash: orderHash(
+          products.map((product) => product.id),
+          expected ?? products.length,
+        ),
+      });
+    }
+  }
+
+  return { collection, results, rankKey: key, namespace, strategy };
+}
+
+/**
+ * Read-only preview of what rendering a collection would change, against the key the next
+ * render writes to. Nothing is written. `hash` fingerprints the plan (see planHash).
+ */
+export async function previewCollectionRanks({ admin, shop, collectionId }) {
+  const collection = await fetchCollection({ admin, collectionId });
+  if (!collection) {
+    throw new RenderError("Collection not found", 404);
+  }
+
+  const settings = await getShopSettings({ shop });
+  const { namespace, rankKey, strategy, migrating } = await targetRankKey({ shop, collection, settings });
+  const [products, owners] = await Promise.all([
+    fetchCollectionProducts({ admin, collectionId, sortOrder: collection.sortOrder, rankKey, namespace }),
+    fetchMetafieldOwners({ admin, key: rankKey, namespace }),
+  ]);
+  const { rows, counts } = planRankChanges({ products, owners, key: rankKey, strategy });
+
+  return { collection, namespace, rankKey, strategy, migrating, rows, counts, hash: planHash(rows) };
+}
+
+/**
+ * Remove a rank key from every product that carries it, e.g. after the collection was deleted.
+ */
+export async function removeCollectionRanks({ admin, rankKey, namespace = DEFAULT_SHOP_SETTINGS.namespace, onProgress }) {
+  const key = rankKey;
+  const owners = await fetchMetafieldOwners({ admin, key, namespace });
+  await onProgress?.({ processed: 0, total: owners.length, success: 0, failed: 0 });
+  console.log(`[render] removing ${key} from ${owners.length} products`);
+
+  const removal = await deleteProductMetafields({ admin, owners, key, namespace });
+  const results = { ...removal, processed: owners.length, expected: null, removed: removal.success };
+  await onProgress?.({
+    processed: owners.length,
+    total: owners.length,
+    success: removal.success,
+    failed: removal.failed,
+  });
+
+  const algolia = getAlgoliaConfig();
+  if (algolia && owners.length) {
+    try {
+      results.algolia = await syncRanksToAlgolia({
+        config: algolia,
+        rankKey: key,
+        namespace,
+        ranks: owners.map((owner) => ({ product: { id: owner.productId }, value: null })),
+      });
+    } catch (error) {
+      console.error(`[render] Algolia cleanup failed for ${key}:`, error);
+      results.algolia = { updated: 0, error: error.message };
+    }
+  }
+
+  return { results };
+}
+
+// --- Helper: Human readable summary used by toasts and logs ---
+export function formatRenderMessage(results) {
+  return `${results.failed ? "Updated" : "Successfully updated"} ${results.success} of ${results.processed} products${
+    results.unchanged ? ` (${results.unchanged} unchanged)` : ""
+  }${results.failed > 0 ? `, ${results.failed} failed` : ""}${
+    results.expected !== null && results.processed !== results.expected
+      ? ` (collection reports ${results.expected})`
+      : ""
+  }${results.removed ? `, removed ${results.removed} stale ranks` : ""}${
+    results.algolia
+      ? results.algolia.error
+        ? `; Algolia sync failed: ${results.algolia.error}`
+        : `; ${results.algolia.updated} Algolia records updated`
+      : ""
+  }`;
+}
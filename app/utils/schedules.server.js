@@ -0,0 +1,161 @@
+// --- Render schedules: cron-timed re-renders, stored in Prisma and fired by an in-process timer ---
+import db from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import { nextCronRun, parseCron } from "./cron.server";
+import { JOB_TRIGGER, enqueueRenderJob } from "./render-jobs.server";
+import { fetchCollections } from "./render.server";
+
+// Preset intervals; "custom" takes any 5-field cron expression. Times are UTC.
+export const SCHEDULE_PRESETS = {
+  hourly: "0 * * * *",
+  nightly: "0 3 * * *",
+};
+
+// How often the scheduler looks for due schedules.
+const SCHEDULER_INTERVAL = parseInt(process.env.RENDER_SCHEDULER_INTERVAL || "60000", 10) || 60000;
+
+// --- Helper: The cron expression of an interval choice; throws CronError for a bad custom one ---
+export function scheduleCron({ interval, cron }) {
+  const expression = SCHEDULE_PRESETS[interval] || cron;
+  parseCron(expression);
+  return expression;
+}
+
+export function serializeSchedule(schedule) {
+  return {
+    id: schedule.id,
+    collectionId: schedule.collectionId,
+    collectionHandle: schedule.collectionHandle,
+    collectionTitle: schedule.collectionTitle,
+    interval: schedule.interval,
+    cron: schedule.cron,
+    enabled: schedule.enabled,
+    nextRunAt: schedule.nextRunAt,
+    lastRunAt: schedule.lastRunAt,
+    lastStatus: schedule.lastStatus,
+    lastMessage: schedule.lastMessage,
+  };
+}
+
+export async function getSchedules({ shop }) {
+  const schedules = await db.renderSchedule.findMany({
+    where: { shop },
+    orderBy: { createdAt: "asc" },
+  });
+  return schedules.map(serializeSchedule);
+}
+
+/**
+ * Store a schedule. `collection` is `{ id, handle, title }`, or null for every collection.
+ */
+export async function createSchedule({ shop, collection = null, interval, cron }) {
+  const expression = scheduleCron({ interval, cron });
+  return db.renderSchedule.create({
+    data: {
+      shop,
+      collectionId: collection?.id ?? null,
+      collectionHandle: collection?.handle ?? null,
+      collectionTitle: collection?.title ?? null,
+      interval: SCHEDULE_PRESETS[interval] ? interval : "custom",
+      cron: expression,
+      nextRunAt: nextCronRun(expression),
+    },
+  });
+}
+
+// Re-enabling computes a fresh next run, so a paused schedule doesn't fire for the time it missed.
+export async function setScheduleEnabled({ shop, id, enabled }) {
+  const schedule = await db.renderSchedule.findFirst({ where: { shop, id } });
+  if (!schedule) return null;
+  return db.renderSchedule.update({
+    where: { id },
+    data: { enabled, nextRunAt: enabled ? nextCronRun(schedule.cron) : schedule.nextRunAt },
+  });
+}
+
+export async function deleteSchedule({ shop, id }) {
+  return db.renderSchedule.deleteMany({ where: { shop, id } });
+}
+
+// --- Helper: Queue the renders of one schedule; returns a summary for lastMessage ---
+async function fireSchedule(schedule) {
+  if (schedule.collectionId) {
+    await enqueueRenderJob({
+      shop: schedule.shop,
+      collectionId: schedule.collectionId,
+      collectionHandle: schedule.collectionHandle,
+      trigger: JOB_TRIGGER.SCHEDULE,
+    });
+    return `Queued ${schedule.collectionHandle}`;
+  }
+
+  const { admin } = await unauthenticated.admin(schedule.shop);
+  const collections = await fetchCollections({ admin });
+  for (const collection of collections) {
+    await enqueueRenderJob({
+      shop: schedule.shop,
+      collectionId: collection.id,
+      collectionHandle: collection.handle,
+      trigger: JOB_TRIGGER.SCHEDULE,
+    });
+  }
+  return `Queued ${collections.length} collections`;
+}
+
+/**
+ * Fire every enabled schedule whose next run has passed. A schedule that was due several times
+ * while the app was down fires once, then moves on to its next run after now.
+ */
+export async function runDueSchedules(now = new Date()) {
+  const due = await db.renderSchedule.findMany({
+    where: { enabled: true, nextRunAt: { lte: now } },
+    orderBy: { nextRunAt: "asc" },
+  });
+
+  for (const schedule of due) {
+    let lastStatus = "succeeded";
+    let lastMessage;
+    try {
+      lastMessage = await fireSchedule(schedule);
+      console.log(`[schedules] ${schedule.id} fired for ${schedule.shop}: ${lastMessage}`);
+    } catch (error) {
+      console.error(`[schedules] ${schedule.id} failed:`, error);
+      lastStatus = "failed";
+      lastMessage = error.message || "Schedule failed";
+    }
+    await db.renderSchedule.update({
+      where: { id: schedule.id },
+      data: { lastRunAt: now, lastStatus, lastMessage, nextRunAt: nextCronRun(schedule.cron, now) },
+    });
+  }
+
+  return due.length;
+}
+
+// --- Scheduler state lives on `global` so dev-server reloads don't start a second timer ---
+const scheduler =
+  global.renderScheduler ?? (global.renderScheduler = { started: false, busy: false, timer: null });
+
+async function tick() {
+  if (scheduler.busy) return;
+  scheduler.busy = true;
+  try {
+    await runDueSchedules();
+  } catch (error) {
+    console.error("[schedules] scheduler error:", error);
+  } finally {
+    scheduler.busy = false;
+  }
+}
+
+/**
+ * Start the scheduler. Schedules live in the database, so anything that came due while the
+ * process was down fires on the first tick.
+ */
+export function startRenderScheduler() {
+  if (scheduler.started) return;
+  scheduler.started = true;
+  scheduler.timer = setInterval(tick, SCHEDULER_INTERVAL);
+  scheduler.timer.unref?.();
+  tick();
+}
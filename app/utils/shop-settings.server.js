@@ -0,0 +1,85 @@
+// --- Per-shop metafield naming: namespace, rank key template, value type and rendered_at key ---
+import db from "../db.server";
+
+export const DEFAULT_SHOP_SETTINGS = {
+  namespace: "custom",
+  keyTemplate: "{handle}_rank",
+  valueType: "number_integer",
+  renderedAtKey: "rendered_at",
+};
+
+// Metafield types a rank can be stored as; both sort numerically in Algolia.
+export const RANK_VALUE_TYPES = ["number_integer", "number_decimal"];
+
+// Shopify accepts 2-255 characters for a namespace and 2-64 for a key, letters, digits, "-" and "_".
+const NAMESPACE_PATTERN = /^[a-zA-Z0-9_-]{2,255}$/;
+const KEY_PATTERN = /^[a-zA-Z0-9_-]{2,64}$/;
+const TEMPLATE_PLACEHOLDERS = ["{handle}", "{id}"];
+
+// --- Error for settings that would produce invalid metafield names ---
+export class SettingsError extends Error {
+  constructor(message, field) {
+    super(message);
+    this.name = "SettingsError";
+    this.field = field;
+  }
+}
+
+// --- Helper: The rank key a collection gets from a key template ---
+export function rankKeyFromTemplate(template, { handle, id = "" }) {
+  return template.replaceAll("{handle}", handle).replaceAll("{id}", String(id).split("/").pop());
+}
+
+// --- Helper: Regex matching every key a template can produce ---
+export function keyTemplatePattern(template) {
+  const escaped = template.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`^${escaped.replaceAll("\\{handle\\}", "[a-z0-9-]+").replaceAll("\\{id\\}", "\\d+")}$`);
+}
+
+/**
+ * Check settings before they are stored. Throws SettingsError naming the offending field.
+ */
+export function validateShopSettings(settings) {
+  const { namespace, keyTemplate, valueType, renderedAtKey } = settings;
+  if (!NAMESPACE_PATTERN.test(namespace || "")) {
+    throw new SettingsError("Namespace must be 2-255 letters, digits, dashes or underscores", "namespace");
+  }
+  if (!TEMPLATE_PLACEHOLDERS.some((placeholder) => keyTemplate?.includes(placeholder))) {
+    throw new SettingsError("Key template must contain {handle} or {id}", "keyTemplate");
+  }
+  if (!KEY_PATTERN.test(rankKeyFromTemplate(keyTemplate, { handle: "example", id: "1" }))) {
+    throw new SettingsError("Key template may only add letters, digits, dashes or underscores", "keyTemplate");
+  }
+  if (!RANK_VALUE_TYPES.includes(valueType)) {
+    throw new SettingsError(`Value type must be one of ${RANK_VALUE_TYPES.join(", ")}`, "valueType");
+  }
+  if (!KEY_PATTERN.test(renderedAtKey || "")) {
+    throw new SettingsError("Rendered-at key must be 2-64 letters, digits, dashes or underscores", "renderedAtKey");
+  }
+  if (keyTemplatePattern(keyTemplate).test(renderedAtKey)) {
+    throw new SettingsError("Rendered-at key must not look like a rank key", "renderedAtKey");
+  }
+  return { namespace, keyTemplate, valueType, renderedAtKey };
+}
+
+// --- Helper: Stored settings of a shop, or the defaults ---
+export async function getShopSettings({ shop }) {
+  const settings = await db.shopSettings.findUnique({ where: { shop } });
+  if (!settings) return { ...DEFAULT_SHOP_SETTINGS };
+  return {
+    namespace: settings.namespace,
+    keyTemplate: settings.keyTemplate,
+    valueType: settings.valueType,
+    renderedAtKey: settings.renderedAtKey,
+  };
+}
+
+export async function saveShopSettings({ shop, settings }) {
+  const data = validateShopSettings(settings);
+  await db.shopSettings.upsert({
+    where: { shop },
+    create: { shop, ...data },
+    update: data,
+  });
+  return data;
+}
@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "RenderJob" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "collectionId" TEXT NOT NULL,
+    "collectionHandle" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "totalCount" INTEGER NOT NULL DEFAULT 0,
+    "processedCount" INTEGER NOT NULL DEFAULT 0,
+    "successCount" INTEGER NOT NULL DEFAULT 0,
+    "failedCount" INTEGER NOT NULL DEFAULT 0,
+    "errors" TEXT,
+    "message" TEXT,
+    "bulkOperationId" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "startedAt" DATETIME,
+    "finishedAt" DATETIME
+);
+
+-- CreateIndex
+CREATE INDEX "RenderJob_status_createdAt_idx" ON "RenderJob"("status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "RenderJob_shop_collectionId_idx" ON "RenderJob"("shop", "collectionId");
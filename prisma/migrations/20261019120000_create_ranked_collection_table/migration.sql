@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE "RankedCollection" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "collectionId" TEXT NOT NULL,
+    "handle" TEXT NOT NULL,
+    "rankKey" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RankedCollection_shop_collectionId_key" ON "RankedCollection"("shop", "collectionId");
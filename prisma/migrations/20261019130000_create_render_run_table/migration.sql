@@ -0,0 +1,35 @@
+-- AlterTable
+ALTER TABLE "RenderJob" ADD COLUMN "trigger" TEXT NOT NULL DEFAULT 'manual';
+ALTER TABLE "RenderJob" ADD COLUMN "requestedById" TEXT;
+ALTER TABLE "RenderJob" ADD COLUMN "requestedByName" TEXT;
+
+-- CreateTable
+CREATE TABLE "RenderRun" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "jobId" TEXT NOT NULL,
+    "kind" TEXT NOT NULL,
+    "trigger" TEXT NOT NULL,
+    "collectionId" TEXT NOT NULL,
+    "collectionHandle" TEXT NOT NULL,
+    "collectionTitle" TEXT,
+    "rankKey" TEXT,
+    "mode" TEXT,
+    "staffUserId" TEXT,
+    "staffName" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'running',
+    "totalCount" INTEGER NOT NULL DEFAULT 0,
+    "successCount" INTEGER NOT NULL DEFAULT 0,
+    "failedCount" INTEGER NOT NULL DEFAULT 0,
+    "removedCount" INTEGER NOT NULL DEFAULT 0,
+    "errors" TEXT,
+    "message" TEXT,
+    "startedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" DATETIME
+);
+
+-- CreateIndex
+CREATE INDEX "RenderRun_shop_collectionId_startedAt_idx" ON "RenderRun"("shop", "collectionId", "startedAt");
+
+-- CreateIndex
+CREATE INDEX "RenderRun_shop_startedAt_idx" ON "RenderRun"("shop", "startedAt");
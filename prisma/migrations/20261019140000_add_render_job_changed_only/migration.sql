@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "RenderJob" ADD COLUMN "changedOnly" BOOLEAN NOT NULL DEFAULT false;
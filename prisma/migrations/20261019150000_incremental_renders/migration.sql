@@ -0,0 +1,37 @@
+-- AlterTable
+ALTER TABLE "RenderRun" ADD COLUMN "unchangedCount" INTEGER NOT NULL DEFAULT 0;
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_RenderJob" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "kind" TEXT NOT NULL DEFAULT 'render',
+    "trigger" TEXT NOT NULL DEFAULT 'manual',
+    "requestedById" TEXT,
+    "requestedByName" TEXT,
+    "collectionId" TEXT NOT NULL,
+    "collectionHandle" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "totalCount" INTEGER NOT NULL DEFAULT 0,
+    "processedCount" INTEGER NOT NULL DEFAULT 0,
+    "successCount" INTEGER NOT NULL DEFAULT 0,
+    "failedCount" INTEGER NOT NULL DEFAULT 0,
+    "errors" TEXT,
+    "message" TEXT,
+    "bulkOperationId" TEXT,
+    "changedOnly" BOOLEAN NOT NULL DEFAULT true,
+    "runAfter" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "startedAt" DATETIME,
+    "finishedAt" DATETIME
+);
+INSERT INTO "new_RenderJob" ("id", "shop", "kind", "trigger", "requestedById", "requestedByName", "collectionId", "collectionHandle", "status", "totalCount", "processedCount", "successCount", "failedCount", "errors", "message", "bulkOperationId", "changedOnly", "runAfter", "createdAt", "updatedAt", "startedAt", "finishedAt") SELECT "id", "shop", "kind", "trigger", "requestedById", "requestedByName", "collectionId", "collectionHandle", "status", "totalCount", "processedCount", "successCount", "failedCount", "errors", "message", "bulkOperationId", "changedOnly", "runAfter", "createdAt", "updatedAt", "startedAt", "finishedAt" FROM "RenderJob";
+DROP TABLE "RenderJob";
+ALTER TABLE "new_RenderJob" RENAME TO "RenderJob";
+CREATE INDEX "RenderJob_status_createdAt_idx" ON "RenderJob"("status", "createdAt");
+CREATE INDEX "RenderJob_shop_collectionId_idx" ON "RenderJob"("shop", "collectionId");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "RenderSchedule" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "collectionId" TEXT,
+    "collectionHandle" TEXT,
+    "collectionTitle" TEXT,
+    "interval" TEXT NOT NULL,
+    "cron" TEXT NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "nextRunAt" DATETIME NOT NULL,
+    "lastRunAt" DATETIME,
+    "lastStatus" TEXT,
+    "lastMessage" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "RenderSchedule_enabled_nextRunAt_idx" ON "RenderSchedule"("enabled", "nextRunAt");
+
+-- CreateIndex
+CREATE INDEX "RenderSchedule_shop_idx" ON "RenderSchedule"("shop");
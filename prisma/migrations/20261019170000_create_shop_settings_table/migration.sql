@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE "RankedCollection" ADD COLUMN "namespace" TEXT NOT NULL DEFAULT 'custom';
+ALTER TABLE "RankedCollection" ADD COLUMN "valueType" TEXT NOT NULL DEFAULT 'number_integer';
+ALTER TABLE "RenderRun" ADD COLUMN "namespace" TEXT NOT NULL DEFAULT 'custom';
+
+-- CreateTable
+CREATE TABLE "ShopSettings" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "namespace" TEXT NOT NULL DEFAULT 'custom',
+    "keyTemplate" TEXT NOT NULL DEFAULT '{handle}_rank',
+    "valueType" TEXT NOT NULL DEFAULT 'number_integer',
+    "renderedAtKey" TEXT NOT NULL DEFAULT 'rendered_at',
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ShopSettings_shop_key" ON "ShopSettings"("shop");
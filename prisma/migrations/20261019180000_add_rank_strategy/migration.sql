@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "RankedCollection" ADD COLUMN "strategy" TEXT NOT NULL DEFAULT 'ascending';
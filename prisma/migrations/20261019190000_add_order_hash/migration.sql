@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "RankedCollection" ADD COLUMN "orderHash" TEXT;
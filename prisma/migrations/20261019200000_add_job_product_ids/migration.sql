@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "RenderJob" ADD COLUMN "productIds" TEXT;
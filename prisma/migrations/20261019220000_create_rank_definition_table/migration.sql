@@ -0,0 +1,12 @@
+-- CreateTable
+CREATE TABLE "RankDefinition" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "definitionId" TEXT NOT NULL,
+    "namespace" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RankDefinition_shop_definitionId_key" ON "RankDefinition"("shop", "definitionId");
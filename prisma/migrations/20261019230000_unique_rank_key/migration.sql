@@ -0,0 +1,14 @@
+-- A collection sharing a key with one ranked before it moves to the key built from its ID
+UPDATE "RankedCollection"
+SET "rankKey" = 'collection_' || replace("collectionId", 'gid://shopify/Collection/', '') || '_rank'
+WHERE EXISTS (
+    SELECT 1 FROM "RankedCollection" AS "earlier"
+    WHERE "earlier"."shop" = "RankedCollection"."shop"
+      AND "earlier"."namespace" = "RankedCollection"."namespace"
+      AND "earlier"."rankKey" = "RankedCollection"."rankKey"
+      AND ("earlier"."createdAt" < "RankedCollection"."createdAt"
+        OR ("earlier"."createdAt" = "RankedCollection"."createdAt" AND "earlier"."id" < "RankedCollection"."id"))
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RankedCollection_shop_namespace_rankKey_key" ON "RankedCollection"("shop", "namespace", "rankKey");
@@ -0,0 +1,9 @@
+import { defineConfig } from "vitest/config";
+
+// Unit tests for the server utilities; they run without the Remix plugin or a Shopify session.
+export default defineConfig({
+  test: {
+    include: ["app/**/*.test.js"],
+    environment: "node",
+  },
+});
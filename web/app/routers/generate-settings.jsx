@@ -1,10 +0,0 @@
-import React from "react";
-
-export default function GenerateSettings() {
-  return (
-    <div>
-      <h1>Generate Settings</h1>
-      <p>This is the Generate Settings subpage.</p>
-    </div>
-  );
-}
\ No newline at end of file
@@ -1,10 +0,0 @@
-import React from "react";
-
-export default function Tools() {
-  return (
-    <div>
-      <h1>Tools</h1>
-      <p>This is the Tools subpage.</p>
-    </div>
-  );
-}
\ No newline at end of file